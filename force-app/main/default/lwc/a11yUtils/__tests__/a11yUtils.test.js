@@ -0,0 +1,89 @@
+import { focusDialog, getFocusableElements, handleDialogKeyDown } from 'c/a11yUtils';
+
+function createNode(tag, attributes = {}, children = []) {
+    const node = document.createElement(tag);
+    Object.keys(attributes).forEach(name => node.setAttribute(name, attributes[name]));
+    children.forEach(child => node.appendChild(child));
+    return node;
+}
+
+// Builds a dialog and a stand-in for a component's template, which is all the helpers use
+function renderDialog() {
+    const container = createNode('div', {}, [
+        createNode('button', { 'data-id': 'opener' }),
+        createNode('section', { role: 'dialog', tabindex: '-1' }, [
+            createNode('button', { 'data-id': 'close' }),
+            createNode('div', { class: 'slds-modal__content' }, [
+                createNode('input', { 'data-id': 'first-name' }),
+                createNode('input', { 'data-id': 'disabled', disabled: '' })
+            ]),
+            createNode('button', { 'data-id': 'cancel' }),
+            createNode('button', { 'data-id': 'save' })
+        ])
+    ]);
+    document.body.appendChild(container);
+
+    return {
+        byId: id => container.querySelector(`[data-id="${id}"]`),
+        template: {
+            querySelector: selector => container.querySelector(selector),
+            get activeElement() {
+                return document.activeElement;
+            }
+        }
+    };
+}
+
+function keyDown(key, shiftKey = false) {
+    return new KeyboardEvent('keydown', { key, shiftKey, cancelable: true });
+}
+
+describe('c-a11y-utils', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('lists enabled focusable elements and focuses the first field of a dialog', () => {
+        const { template } = renderDialog();
+
+        const ids = getFocusableElements(template.querySelector('[role="dialog"]')).map(element => element.dataset.id);
+        expect(ids).toEqual(['close', 'first-name', 'cancel', 'save']);
+
+        expect(focusDialog(template)).toBe(true);
+        expect(document.activeElement.dataset.id).toBe('first-name');
+    });
+
+    it('wraps Tab and Shift+Tab between the first and last elements of the dialog', () => {
+        const { byId, template } = renderDialog();
+        const onClose = jest.fn();
+
+        byId('save').focus();
+        const tab = keyDown('Tab');
+        handleDialogKeyDown(tab, template, onClose);
+        expect(tab.defaultPrevented).toBe(true);
+        expect(document.activeElement).toBe(byId('close'));
+
+        const shiftTab = keyDown('Tab', true);
+        handleDialogKeyDown(shiftTab, template, onClose);
+        expect(shiftTab.defaultPrevented).toBe(true);
+        expect(document.activeElement).toBe(byId('save'));
+
+        // Tabbing between inner elements is left to the browser
+        byId('first-name').focus();
+        const innerTab = keyDown('Tab');
+        handleDialogKeyDown(innerTab, template, onClose);
+        expect(innerTab.defaultPrevented).toBe(false);
+        expect(onClose).not.toHaveBeenCalled();
+    });
+
+    it('closes the dialog on Escape', () => {
+        const { template } = renderDialog();
+        const onClose = jest.fn();
+
+        handleDialogKeyDown(keyDown('Escape'), template, onClose);
+
+        expect(onClose).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Shared keyboard and focus helpers for SLDS modals.
+ *
+ * Usage:
+ *   import { focusDialog, focusElement, handleDialogKeyDown } from 'c/a11yUtils';
+ *   <section role="dialog" aria-modal="true" aria-labelledby="modal-heading" onkeydown={handleModalKeyDown}>
+ *   handleModalKeyDown(event) {
+ *       handleDialogKeyDown(event, this.template, () => this.handleCloseModal());
+ *   }
+ *
+ * - Tab and Shift+Tab wrap between the first and last focusable elements of the dialog,
+ *   so keyboard users cannot reach the page behind the backdrop
+ * - Escape closes the dialog
+ * - Open a dialog with focusDialog and, once it has closed, return focus to the button that
+ *   opened it with focusElement; both return false while the target has not rendered yet
+ */
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button',
+    'input',
+    'select',
+    'textarea',
+    '[tabindex]:not([tabindex="-1"])',
+    'lightning-button',
+    'lightning-button-icon',
+    'lightning-button-menu',
+    'lightning-combobox',
+    'lightning-input',
+    'lightning-textarea'
+].join(', ');
+
+/**
+ * Enabled elements in a container that take focus from the Tab key, in document order
+ */
+export function getFocusableElements(container) {
+    if (!container) {
+        return [];
+    }
+    return [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(element => !element.disabled);
+}
+
+/**
+ * Focus an element if it is on screen
+ */
+export function focusElement(element) {
+    if (!element) {
+        return false;
+    }
+    element.focus();
+    return true;
+}
+
+/**
+ * Move focus into a template's dialog: the first field in its content, or else its close button
+ */
+export function focusDialog(template) {
+    const dialog = template.querySelector('[role="dialog"]');
+    if (!dialog) {
+        return false;
+    }
+    const [firstField] = getFocusableElements(dialog.querySelector('.slds-modal__content'));
+    const [firstElement] = getFocusableElements(dialog);
+    return focusElement(firstField || firstElement || dialog);
+}
+
+/**
+ * Keep focus inside a template's dialog and close it on Escape
+ */
+export function handleDialogKeyDown(event, template, onClose) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        onClose();
+        return;
+    }
+    if (event.key !== 'Tab') {
+        return;
+    }
+
+    const dialog = template.querySelector('[role="dialog"]');
+    const elements = getFocusableElements(dialog);
+    if (elements.length === 0) {
+        event.preventDefault();
+        return;
+    }
+
+    const first = elements[0];
+    const last = elements[elements.length - 1];
+    const active = template.activeElement;
+
+    if (event.shiftKey && (active === first || active === dialog)) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
@@ -1,5 +1,53 @@
 import { createElement } from '@lwc/engine-dom';
 import AccountOverview from 'c/accountOverview';
+import getAccountOverview from '@salesforce/apex/AccountOverviewController.getAccountOverview';
+import updateContactCompliance from '@salesforce/apex/AccountOverviewController.updateContactCompliance';
+
+jest.mock(
+    '@salesforce/apex/AccountOverviewController.getAccountOverview',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/AccountOverviewController.updateContactCompliance',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const OVERVIEW = {
+    accountId: '001000000000001AAA',
+    accountName: 'Reyes Household',
+    totalFamilyMembers: 2,
+    contacts: [
+        {
+            contactId: '003000000000001AAA',
+            name: 'Dana Reyes',
+            recordType: 'Primary Contact',
+            backgroundCheckStatus: 'Pending',
+            trainingCompleted: false,
+            homeStudyCompleted: false
+        },
+        {
+            contactId: '003000000000002AAA',
+            name: 'Sam Reyes',
+            recordType: 'Caregiver Family Member',
+            backgroundCheckStatus: 'Pending',
+            trainingCompleted: false,
+            homeStudyCompleted: false
+        }
+    ]
+};
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
 
 describe('c-account-overview', () => {
     afterEach(() => {
@@ -7,6 +55,7 @@ describe('c-account-overview', () => {
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        jest.clearAllMocks();
     });
 
     it('TODO: test case generated by CLI command, please fill in test logic', () => {
@@ -22,4 +71,69 @@ describe('c-account-overview', () => {
         // const div = element.shadowRoot.querySelector('div');
         expect(1).toBe(1);
     });
-});
\ No newline at end of file
+
+    it('saves all pending compliance edits together and reports failed rows', async () => {
+        updateContactCompliance.mockResolvedValue([
+            { contactId: '003000000000001AAA', success: true },
+            { contactId: '003000000000002AAA', success: false, message: 'Training date is required' }
+        ]);
+
+        const element = createElement('c-account-overview', { is: AccountOverview });
+        element.recordId = '001000000000001AAA';
+        document.body.appendChild(element);
+
+        getAccountOverview.emit(OVERVIEW);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-button[data-id="edit-compliance"]').click();
+        await flushPromises();
+
+        const statusInput = element.shadowRoot.querySelector(
+            'lightning-combobox[data-id="003000000000001AAA"][data-field="backgroundCheckStatus"]'
+        );
+        statusInput.dispatchEvent(new CustomEvent('change', { detail: { value: 'Cleared' } }));
+
+        const trainingInput = element.shadowRoot.querySelector(
+            'lightning-input[data-id="003000000000002AAA"][data-field="trainingCompleted"]'
+        );
+        trainingInput.dispatchEvent(new CustomEvent('change', { detail: { checked: true } }));
+        await flushPromises();
+
+        expect(element.shadowRoot.textContent).toContain('2 family members have unsaved changes');
+
+        element.shadowRoot.querySelector('lightning-button[data-id="save-compliance"]').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(updateContactCompliance).toHaveBeenCalledWith({
+            accountId: '001000000000001AAA',
+            changesJson: JSON.stringify([
+                { contactId: '003000000000001AAA', backgroundCheckStatus: 'Cleared' },
+                { contactId: '003000000000002AAA', trainingCompleted: true }
+            ])
+        });
+
+        const errors = element.shadowRoot.querySelectorAll('[role="alert"]');
+        expect(errors.length).toBe(1);
+        expect(errors[0].textContent).toBe('Training date is required');
+        expect(element.shadowRoot.textContent).toContain('1 family member has unsaved changes');
+    });
+
+    it('shows compliance status as text as well as icons', async () => {
+        const element = createElement('c-account-overview', { is: AccountOverview });
+        element.recordId = '001000000000001AAA';
+        document.body.appendChild(element);
+
+        getAccountOverview.emit({
+            ...OVERVIEW,
+            contacts: [{ ...OVERVIEW.contacts[0], trainingCompleted: true }],
+            householdInfo: { homeSafetyVerified: false }
+        });
+        await flushPromises();
+
+        const statusText = element.shadowRoot.textContent;
+        expect(statusText).toContain('Training:Completed');
+        expect(statusText).toContain('Home Study:Not completed');
+        expect(statusText).toContain('Home Safety Verified:Not verified');
+    });
+});
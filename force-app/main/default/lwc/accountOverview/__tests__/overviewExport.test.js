@@ -0,0 +1,72 @@
+import { buildContactsCsv, buildOverviewJson, buildFileName, MASKED_VALUE } from '../overviewExport';
+
+const OVERVIEW = {
+    accountName: 'Reyes Household',
+    sensitiveDataMasked: false,
+    contacts: [
+        {
+            contactId: '003000000000001AAA',
+            name: 'Dana Reyes',
+            recordType: 'Primary Contact',
+            email: 'dana@example.org',
+            birthdate: '1985-04-12',
+            trainingCompleted: true,
+            homeStudyCompleted: false,
+            currentEmployer: 'Reyes, Smith & "Partners"',
+            monthlyIncome: 4200
+        }
+    ],
+    householdInfo: { homeType: 'House', totalHouseholdIncome: 6000 }
+};
+
+describe('accountOverview export', () => {
+    it('builds one CSV row per contact and quotes values that need it', () => {
+        const lines = buildContactsCsv(OVERVIEW).split('\r\n');
+
+        expect(lines.length).toBe(2);
+        expect(lines[0].startsWith('Name,Record Type,')).toBe(true);
+        expect(lines[1]).toContain('Dana Reyes,Primary Contact');
+        expect(lines[1]).toContain('"Reyes, Smith & ""Partners"""');
+        expect(lines[1]).toContain('Yes,No');
+        expect(lines[1].endsWith('4200')).toBe(true);
+    });
+
+    it('keeps spreadsheets from running text as a formula', () => {
+        const overview = {
+            ...OVERVIEW,
+            contacts: [{ ...OVERVIEW.contacts[0], name: '=HYPERLINK("http://example.com","Dana")', email: '@SUM(1+1)', currentJobTitle: '-2+3', monthlyIncome: -50 }]
+        };
+        const line = buildContactsCsv(overview).split('\r\n')[1];
+
+        expect(line.startsWith('"\'=HYPERLINK(""http://example.com"",""Dana"")",')).toBe(true);
+        expect(line).toContain(',\'@SUM(1+1),');
+        expect(line).toContain(',\'-2+3,');
+        expect(line.endsWith(',-50')).toBe(true);
+    });
+
+    it('marks sensitive fields as restricted when the overview is masked', () => {
+        const masked = {
+            ...OVERVIEW,
+            sensitiveDataMasked: true,
+            contacts: [{ ...OVERVIEW.contacts[0], birthdate: null, monthlyIncome: null }],
+            householdInfo: { ...OVERVIEW.householdInfo, totalHouseholdIncome: null }
+        };
+
+        expect(buildContactsCsv(masked).split('\r\n')[1].endsWith(MASKED_VALUE)).toBe(true);
+
+        const json = JSON.parse(buildOverviewJson(masked));
+        expect(json.contacts[0].birthdate).toBe(MASKED_VALUE);
+        expect(json.contacts[0].monthlyIncome).toBe(MASKED_VALUE);
+        expect(json.householdInfo.totalHouseholdIncome).toBe(MASKED_VALUE);
+    });
+
+    it('leaves values untouched when the user may see them', () => {
+        const json = JSON.parse(buildOverviewJson(OVERVIEW));
+        expect(json.contacts[0].monthlyIncome).toBe(4200);
+        expect(json.householdInfo.totalHouseholdIncome).toBe(6000);
+    });
+
+    it('names files after the account', () => {
+        expect(buildFileName(OVERVIEW, 'contacts', 'csv')).toMatch(/^reyes-household-contacts-\d{4}-\d{2}-\d{2}\.csv$/);
+    });
+});
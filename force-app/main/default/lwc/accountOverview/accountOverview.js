@@ -4,6 +4,14 @@ import { refreshApex } from '@salesforce/apex';
 import getAccountOverview from '@salesforce/apex/AccountOverviewController.getAccountOverview';
 import assignCaseworkerToAccount from '@salesforce/apex/AccountOverviewController.assignCaseworkerToAccount';
 import getAvailableCaseworkers from '@salesforce/apex/CaseworkerAssignmentService.getAvailableCaseworkers';
+import getAccountOverviewForExport from '@salesforce/apex/AccountOverviewController.getAccountOverviewForExport';
+import updateContactCompliance from '@salesforce/apex/AccountOverviewController.updateContactCompliance';
+import { createLogger } from 'c/logger';
+import { getErrorMessage } from 'c/errorUtils';
+import { focusDialog, focusElement, handleDialogKeyDown } from 'c/a11yUtils';
+import { buildContactsCsv, buildOverviewJson, buildFileName, downloadFile } from './overviewExport';
+
+const logger = createLogger('accountOverview');
 
 export default class AccountOverview extends LightningElement {
     @api recordId; // Account Id from record page
@@ -15,8 +23,23 @@ export default class AccountOverview extends LightningElement {
     @track selectedCaseworkerId;
     @track isLoadingCaseworkers = false;
     @track isSavingCaseworker = false;
+    @track showPrintView = false;
+    @track printOverview;
+    @track isExporting = false;
+    @track isEditingCompliance = false;
+    @track isSavingCompliance = false;
+    @track complianceDrafts = {}; // contactId => edited compliance fields
+    @track complianceErrors = {}; // contactId => save error message
     
     wiredAccountOverviewResult;
+    pendingFocus; // Run after the next render until it finds its element
+
+    backgroundCheckOptions = [
+        { label: 'Pending', value: 'Pending' },
+        { label: 'In Progress', value: 'In Progress' },
+        { label: 'Cleared', value: 'Cleared' },
+        { label: 'Failed', value: 'Failed' }
+    ];
 
     @wire(getAccountOverview, { accountId: '$recordId' })
     wiredAccountOverview(result) {
@@ -36,6 +59,15 @@ export default class AccountOverview extends LightningElement {
         }
     }
 
+    /**
+     * Move focus into the caseworker modal when it opens and back to its button when it closes
+     */
+    renderedCallback() {
+        if (this.pendingFocus && this.pendingFocus()) {
+            this.pendingFocus = undefined;
+        }
+    }
+
     /**
      * Enrich contact data with additional computed properties
      */
@@ -57,6 +89,48 @@ export default class AccountOverview extends LightningElement {
         return data;
     }
 
+    /**
+     * Contacts with any unsaved compliance edits applied
+     */
+    get contactRows() {
+        return (this.accountOverview?.contacts || []).map(contact => {
+            const draft = this.complianceDrafts[contact.contactId];
+            const row = draft ? { ...contact, ...draft } : { ...contact };
+            const rowError = this.complianceErrors[contact.contactId];
+
+            return {
+                ...row,
+                isDirty: Boolean(draft),
+                rowError,
+                trainingIcon: row.trainingCompleted ? 'utility:check' : 'utility:close',
+                trainingLabel: row.trainingCompleted ? 'Completed' : 'Not completed',
+                homeStudyIcon: row.homeStudyCompleted ? 'utility:check' : 'utility:close',
+                homeStudyLabel: row.homeStudyCompleted ? 'Completed' : 'Not completed',
+                rowClass: rowError ?
+                    'slds-card slds-m-bottom_small slds-has-error' :
+                    draft ? 'slds-card slds-m-bottom_small slds-theme_shade' : 'slds-card slds-m-bottom_small'
+            };
+        });
+    }
+
+    get pendingChangeCount() {
+        return Object.keys(this.complianceDrafts).length;
+    }
+
+    get hasPendingChanges() {
+        return this.pendingChangeCount > 0;
+    }
+
+    get pendingChangesLabel() {
+        return this.pendingChangeCount === 1 ?
+            '1 family member has unsaved changes' :
+            `${this.pendingChangeCount} family members have unsaved changes`;
+    }
+
+    get isSaveComplianceDisabled() {
+        return this.isSavingCompliance || !this.hasPendingChanges;
+    }
+
     /**
      * Get household safety icon
      */
@@ -65,89 +139,39 @@ export default class AccountOverview extends LightningElement {
                'utility:check' : 'utility:close';
     }
 
-    /**
-     * Get caseworker options for combobox
-     */
-    get caseworkerOptions() {
-        console.log('=== COMPUTING CASEWORKER OPTIONS ===');
-        console.log('availableCaseworkers:', this.availableCaseworkers);
-        console.log('availableCaseworkers type:', typeof this.availableCaseworkers);
-        console.log('availableCaseworkers is array:', Array.isArray(this.availableCaseworkers));
-        
-        if (!this.availableCaseworkers) {
-            console.log('No availableCaseworkers - returning empty array');
-            return [];
-        }
-        
-        const options = this.availableCaseworkers.map(cw => {
-            console.log('Mapping caseworker:', cw);
-            const label = `${cw.name} (${cw.currentCaseLoad}/${cw.maximumCaseLoad}) - ${cw.availabilityStatus}`;
-            return {
-                label: label,
-                value: cw.id
-            };
-        });
-        
-        console.log('Final options:', options);
-        console.log('Number of options:', options.length);
-        
-        return options;
+    get householdSafetyLabel() {
+        return this.accountOverview?.householdInfo?.homeSafetyVerified ? 'Verified' : 'Not verified';
     }
 
     /**
-     * Get selected caseworker details
+     * Specializations the family needs, used to recommend a caseworker
      */
-    get selectedCaseworkerDetails() {
-        if (!this.selectedCaseworkerId || !this.availableCaseworkers) return null;
-        
-        return this.availableCaseworkers.find(cw => cw.id === this.selectedCaseworkerId);
+    get requiredSpecializations() {
+        return this.accountOverview?.requiredSpecializations || [];
     }
 
     /**
      * Handle assign caseworker button click
      */
     async handleAssignCaseworker() {
-        console.log('=== ASSIGN CASEWORKER BUTTON CLICKED ===');
-        console.log('Opening modal...');
-        
         this.showCaseworkerModal = true;
         this.isLoadingCaseworkers = true;
-        
-        console.log('Modal opened, loading caseworkers...');
+        this.pendingFocus = () => focusDialog(this.template);
         
         try {
-            console.log('Calling getAvailableCaseworkers...');
             const result = await getAvailableCaseworkers();
-            
-            console.log('Result received:', result);
-            console.log('Number of caseworkers:', result ? result.length : 0);
-            console.log('Caseworkers data:', JSON.stringify(result, null, 2));
-            
             this.availableCaseworkers = result;
-            
-            console.log('availableCaseworkers set to:', this.availableCaseworkers);
-            console.log('caseworkerOptions computed:', this.caseworkerOptions);
+            logger.debug('handleAssignCaseworker', 'Loaded caseworkers', { count: result ? result.length : 0 });
             
             // Pre-select current caseworker if exists
             if (this.accountOverview?.primaryCaseworkerId) {
                 this.selectedCaseworkerId = this.accountOverview.primaryCaseworkerId;
-                console.log('Pre-selected caseworker:', this.selectedCaseworkerId);
-            } else {
-                console.log('No current caseworker to pre-select');
             }
-            
-            console.log('Caseworkers loaded successfully!');
         } catch (error) {
-            console.error('=== ERROR LOADING CASEWORKERS ===');
-            console.error('Error object:', error);
-            console.error('Error message:', this.getErrorMessage(error));
-            console.error('Error body:', error.body);
-            console.error('Error stack:', error.stack);
-            
-            this.showToast('Error', 'Error loading caseworkers: ' + this.getErrorMessage(error), 'error');
+            logger.error('handleAssignCaseworker', error, { accountId: this.recordId });
+            this.showToast('Error', 'Error loading caseworkers: ' + getErrorMessage(error), 'error');
         } finally {
             this.isLoadingCaseworkers = false;
-            console.log('Loading complete. isLoadingCaseworkers:', this.isLoadingCaseworkers);
         }
     }
 
@@ -155,7 +179,7 @@ export default class AccountOverview extends LightningElement {
      * Handle caseworker selection change
      */
     handleCaseworkerSelection(event) {
-        this.selectedCaseworkerId = event.detail.value;
+        this.selectedCaseworkerId = event.detail.caseworkerId;
     }
 
     /**
@@ -165,6 +189,14 @@ export default class AccountOverview extends LightningElement {
         this.showCaseworkerModal = false;
         this.selectedCaseworkerId = null;
         this.availableCaseworkers = [];
+        this.pendingFocus = () => focusElement(this.template.querySelector('[data-id="assign-caseworker"]'));
+    }
+
+    /**
+     * Keep keyboard focus inside the caseworker modal; Escape closes it
+     */
+    handleModalKeyDown(event) {
+        handleDialogKeyDown(event, this.template, () => this.handleCloseCaseworkerModal());
     }
 
     /**
@@ -186,21 +218,160 @@ export default class AccountOverview extends LightningElement {
 
             this.showToast('Success', 'Caseworker assigned successfully', 'success');
             
-            // Refresh the account overview
+            // Refresh the account overview and its history
             await refreshApex(this.wiredAccountOverviewResult);
+            this.template.querySelector('c-family-audit-timeline')?.refresh();
             
             // Close modal
             this.handleCloseCaseworkerModal();
 
         } catch (error) {
-            this.showToast('Error', this.getErrorMessage(error), 'error');
+            logger.error('handleSaveCaseworker', error, { accountId: this.recordId });
+            this.showToast('Error', getErrorMessage(error), 'error');
         } finally {
             this.isSavingCaseworker = false;
         }
     }
 
     /**
-     * Show toast message
+     * Handle the Edit Compliance button
+     */
+    handleEditCompliance() {
+        this.isEditingCompliance = true;
+    }
+
+    /**
+     * Track an edited compliance field; a field set back to its saved value is no longer dirty
+     */
+    handleComplianceChange(event) {
+        const { id, field } = event.currentTarget.dataset;
+        const value = event.target.type === 'checkbox' ? event.detail.checked : event.detail.value;
+        const original = this.accountOverview.contacts.find(contact => contact.contactId === id);
+        const draft = { ...(this.complianceDrafts[id] || {}) };
+
+        if (value === original[field]) {
+            delete draft[field];
+        } else {
+            draft[field] = value;
+        }
+
+        const drafts = { ...this.complianceDrafts };
+        if (Object.keys(draft).length) {
+            drafts[id] = draft;
+        } else {
+            delete drafts[id];
+        }
+        this.complianceDrafts = drafts;
+    }
+
+    /**
+     * Discard all unsaved compliance edits
+     */
+    handleCancelCompliance() {
+        this.complianceDrafts = {};
+        this.complianceErrors = {};
+        this.isEditingCompliance = false;
+    }
+
+    /**
+     * Save every pending compliance edit in one call
+     * Rows that fail keep their edits and show the error; the rest are refreshed from the server
+     */
+    async handleSaveCompliance() {
+        const changes = Object.keys(this.complianceDrafts).map(contactId => ({
+            contactId,
+            ...this.complianceDrafts[contactId]
+        }));
+
+        this.isSavingCompliance = true;
+
+        try {
+            const results = await updateContactCompliance({
+                accountId: this.recordId,
+                changesJson: JSON.stringify(changes)
+            });
+
+            const drafts = { ...this.complianceDrafts };
+            const errors = {};
+            results.forEach(result => {
+                if (result.success) {
+                    delete drafts[result.contactId];
+                } else {
+                    errors[result.contactId] = result.message;
+                }
+            });
+
+            const failedCount = Object.keys(errors).length;
+            const savedCount = results.length - failedCount;
+
+            this.complianceDrafts = drafts;
+            this.complianceErrors = errors;
+
+            if (failedCount === 0) {
+                this.isEditingCompliance = false;
+                this.showToast('Success', 'Compliance changes saved', 'success');
+            } else {
+                this.showToast(
+                    savedCount > 0 ? 'Some changes were not saved' : 'Error',
+                    `${savedCount} saved, ${failedCount} failed. See the highlighted family members.`,
+                    savedCount > 0 ? 'warning' : 'error'
+                );
+            }
+
+            if (savedCount > 0) {
+                await refreshApex(this.wiredAccountOverviewResult);
+                this.template.querySelector('c-licensing-readiness')?.refresh();
+                this.template.querySelector('c-family-audit-timeline')?.refresh();
+            }
+        } catch (error) {
+            logger.error('handleSaveCompliance', error, { accountId: this.recordId });
+            this.showToast('Error', getErrorMessage(error), 'error');
+        } finally {
+            this.isSavingCompliance = false;
+        }
+    }
+
+    /**
+     * Handle the export menu: print view, contacts CSV or full JSON
+     * Exports are fetched separately so restricted fields are masked on the server
+     */
+    async handleExportSelect(event) {
+        const action = event.detail.value;
+        this.isExporting = true;
+
+        try {
+            const overview = await getAccountOverviewForExport({ accountId: this.recordId });
+
+            if (action === 'print') {
+                this.printOverview = overview;
+                this.showPrintView = true;
+            } else if (action === 'csv') {
+                downloadFile(buildContactsCsv(overview), buildFileName(overview, 'contacts', 'csv'), 'text/csv');
+            } else if (action === 'json') {
+                downloadFile(buildOverviewJson(overview), buildFileName(overview, 'overview', 'json'), 'application/json');
+            }
+
+            if (overview.sensitiveDataMasked && action !== 'print') {
+                this.showToast('Export Complete', 'Income and birthdates were masked because you do not have access to them', 'info');
+            }
+        } catch (error) {
+            logger.error('handleExportSelect', error, { accountId: this.recordId, action });
+            this.showToast('Error', getErrorMessage(error), 'error');
+        } finally {
+            this.isExporting = false;
+        }
+    }
+
+    /**
+     * Handle closing the print view
+     */
+    handleClosePrintView() {
+        this.showPrintView = false;
+        this.printOverview = undefined;
+    }
+
+    /**
+     * Show toast message, also read out by screen readers
      */
     showToast(title, message, variant) {
         this.dispatchEvent(
@@ -210,19 +381,9 @@ export default class AccountOverview extends LightningElement {
                 variant: variant
             })
         );
-    }
-
-    /**
-     * Extract error message from error object
-     */
-    getErrorMessage(error) {
-        if (error.body && error.body.message) {
-            return error.body.message;
-        } else if (error.message) {
-            return error.message;
-        } else if (typeof error === 'string') {
-            return error;
-        }
-        return 'An unknown error occurred';
+        this.template.querySelector('c-live-announcer')?.announce(
+            `${title}: ${message}`,
+            variant === 'error' ? 'assertive' : 'polite'
+        );
     }
 }
\ No newline at end of file
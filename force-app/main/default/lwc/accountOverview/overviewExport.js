@@ -0,0 +1,99 @@
+/**
+ * CSV and JSON exports of the family account overview.
+ *
+ * Exports are built from AccountOverviewController.getAccountOverviewForExport, which leaves
+ * income and birthdates empty and sets sensitiveDataMasked when the user may not see them.
+ */
+export const MASKED_VALUE = 'Restricted';
+
+const CONTACT_COLUMNS = [
+    { label: 'Name', field: 'name' },
+    { label: 'Record Type', field: 'recordType' },
+    { label: 'Family Role', field: 'familyRole' },
+    { label: 'Relationship to Primary', field: 'relationshipToPrimary' },
+    { label: 'Email', field: 'email' },
+    { label: 'Phone', field: 'phone' },
+    { label: 'Mobile Phone', field: 'mobilePhone' },
+    { label: 'Birthdate', field: 'birthdate', sensitive: true },
+    { label: 'Background Check', field: 'backgroundCheckStatus' },
+    { label: 'Training Completed', field: 'trainingCompleted' },
+    { label: 'Home Study Completed', field: 'homeStudyCompleted' },
+    { label: 'Current Employer', field: 'currentEmployer' },
+    { label: 'Job Title', field: 'currentJobTitle' },
+    { label: 'Employment Status', field: 'employmentStatus' },
+    { label: 'Monthly Income', field: 'monthlyIncome', sensitive: true }
+];
+
+/**
+ * Quote a value for CSV when it contains a delimiter, quote or line break. Text that a spreadsheet
+ * would run as a formula, such as a name starting with "=", gets a leading apostrophe.
+ */
+function toCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = typeof value === 'boolean' ? (value ? 'Yes' : 'No') : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of the contacts table, one row per contact
+ */
+export function buildContactsCsv(overview) {
+    const rows = [CONTACT_COLUMNS.map((column) => column.label)];
+
+    (overview.contacts || []).forEach((contact) => {
+        rows.push(
+            CONTACT_COLUMNS.map((column) => (column.sensitive && overview.sensitiveDataMasked ? MASKED_VALUE : contact[column.field]))
+        );
+    });
+
+    return rows.map((row) => row.map(toCsvValue).join(',')).join('\r\n');
+}
+
+/**
+ * JSON of the whole overview, with masked fields marked rather than left empty
+ */
+export function buildOverviewJson(overview) {
+    const data = JSON.parse(JSON.stringify(overview));
+
+    if (data.sensitiveDataMasked) {
+        (data.contacts || []).forEach((contact) => {
+            contact.birthdate = MASKED_VALUE;
+            contact.monthlyIncome = MASKED_VALUE;
+        });
+        if (data.householdInfo) {
+            data.householdInfo.totalHouseholdIncome = MASKED_VALUE;
+        }
+    }
+
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * File name such as "reyes-household-contacts-2026-01-31.csv"
+ */
+export function buildFileName(overview, suffix, extension) {
+    const slug = (overview.accountName || 'family')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/(^-|-$)/g, '');
+    const date = new Date().toISOString().slice(0, 10);
+    return `${slug}-${suffix}-${date}.${extension}`;
+}
+
+/**
+ * Download text content as a file
+ */
+export function downloadFile(content, fileName, mimeType) {
+    const link = document.createElement('a');
+    link.href = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
@@ -0,0 +1,53 @@
+import { createElement } from '@lwc/engine-dom';
+import AccountOverviewPrint from 'c/accountOverviewPrint';
+
+const OVERVIEW = {
+    accountName: 'Reyes Household',
+    exportedBy: 'Casey Supervisor',
+    exportedAt: '2026-01-31T15:00:00.000Z',
+    totalFamilyMembers: 1,
+    sensitiveDataMasked: true,
+    contacts: [
+        {
+            contactId: '003000000000001AAA',
+            name: 'Dana Reyes',
+            recordType: 'Primary Contact',
+            backgroundCheckStatus: 'Cleared',
+            trainingCompleted: true,
+            homeStudyCompleted: false
+        }
+    ],
+    householdInfo: null
+};
+
+describe('c-account-overview-print', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('prints restricted in place of masked values', () => {
+        const element = createElement('c-account-overview-print', { is: AccountOverviewPrint });
+        element.overview = OVERVIEW;
+        document.body.appendChild(element);
+
+        const row = [...element.shadowRoot.querySelectorAll('tr')].find((tr) => tr.textContent.includes('Dana Reyes'));
+        expect(row.textContent).toContain('Restricted');
+        expect(row.querySelector('lightning-formatted-number')).toBeNull();
+        expect(element.shadowRoot.textContent).toContain('No household background recorded.');
+    });
+
+    it('asks the overview to close the print view', () => {
+        const element = createElement('c-account-overview-print', { is: AccountOverviewPrint });
+        element.overview = OVERVIEW;
+        document.body.appendChild(element);
+
+        const handler = jest.fn();
+        element.addEventListener('close', handler);
+        element.shadowRoot.querySelector('lightning-button').click();
+
+        expect(handler).toHaveBeenCalled();
+    });
+});
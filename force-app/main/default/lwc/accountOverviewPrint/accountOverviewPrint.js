@@ -0,0 +1,42 @@
+import { LightningElement, api } from 'lwc';
+
+export default class AccountOverviewPrint extends LightningElement {
+    @api overview; // AccountOverviewController.getAccountOverviewForExport result
+
+    get isMasked() {
+        return this.overview.sensitiveDataMasked === true;
+    }
+
+    /**
+     * Contacts with yes/no labels for the printed checks table
+     */
+    get contacts() {
+        return (this.overview.contacts || []).map(contact => ({
+            ...contact,
+            trainingLabel: contact.trainingCompleted ? 'Yes' : 'No',
+            homeStudyLabel: contact.homeStudyCompleted ? 'Yes' : 'No'
+        }));
+    }
+
+    get household() {
+        const household = this.overview.householdInfo;
+        if (!household) {
+            return null;
+        }
+        return {
+            ...household,
+            hasPoolLabel: household.hasPool ? 'Yes' : 'No',
+            hasPetsLabel: household.hasPets ? 'Yes' : 'No',
+            smokingLabel: household.smokingHousehold ? 'Yes' : 'No',
+            safetyVerifiedLabel: household.homeSafetyVerified ? 'Yes' : 'No'
+        };
+    }
+
+    handlePrint() {
+        window.print();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+}
@@ -0,0 +1,129 @@
+import { createElement } from '@lwc/engine-dom';
+import ApplicationStagingEditor from 'c/applicationStagingEditor';
+import getStagedApplication from '@salesforce/apex/ApplicationStagingController.getStagedApplication';
+import saveStagedApplication from '@salesforce/apex/ApplicationStagingController.saveStagedApplication';
+
+jest.mock(
+    '@salesforce/apex/ApplicationStagingController.getStagedApplication',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/ApplicationStagingController.saveStagedApplication',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const LEAD_ID = '00Q000000000001AAA';
+
+const STAGING_VIEW = {
+    applicationType: 'Foster Parent',
+    isConverted: false,
+    isLegacy: false,
+    isUnreadable: false,
+    application: {
+        stagingId: 'a0B000000000001AAA',
+        schemaVersion: 2,
+        familyMembers: [
+            { id: 'a0C000000000001AAA', firstName: 'Ana', lastName: 'Reyes', relationship: 'Spouse' },
+            { id: 'a0C000000000002AAA', firstName: 'Leo', lastName: 'Reyes', relationship: 'Child', birthdate: '2015-04-02' }
+        ],
+        householdInfo: { homeType: 'Own', bedrooms: 3, hasPets: false },
+        documents: []
+    }
+};
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
+
+async function createEditor(view) {
+    const element = createElement('c-application-staging-editor', { is: ApplicationStagingEditor });
+    element.recordId = LEAD_ID;
+    document.body.appendChild(element);
+    getStagedApplication.emit(view);
+    await flushPromises();
+    return element;
+}
+
+describe('c-application-staging-editor', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('saves a corrected member and removes another', async () => {
+        saveStagedApplication.mockResolvedValue({ success: true, errors: [] });
+        const element = await createEditor(STAGING_VIEW);
+
+        const lastName = element.shadowRoot.querySelector('[data-index="0"][data-field="lastName"]');
+        lastName.value = 'Reyes-Diaz';
+        lastName.dispatchEvent(new CustomEvent('change'));
+
+        element.shadowRoot.querySelector('lightning-button-icon[data-index="1"]').click();
+        await flushPromises();
+
+        element.shadowRoot.querySelector('[data-id="save"]').click();
+        await flushPromises();
+
+        const { leadId, applicationJson } = saveStagedApplication.mock.calls[0][0];
+        const application = JSON.parse(applicationJson);
+        expect(leadId).toBe(LEAD_ID);
+        expect(application.familyMembers).toEqual([
+            { id: 'a0C000000000001AAA', firstName: 'Ana', lastName: 'Reyes-Diaz', relationship: 'Spouse' }
+        ]);
+        expect(application.householdInfo).toEqual({ homeType: 'Own', bedrooms: 3, hasPets: false });
+    });
+
+    it('shows validation errors against their fields', async () => {
+        saveStagedApplication.mockResolvedValue({
+            success: false,
+            errors: [{ path: 'familyMembers[1].birthdate', message: 'Date cannot be in the future' }]
+        });
+        const element = await createEditor(STAGING_VIEW);
+
+        const birthdate = element.shadowRoot.querySelector('[data-index="1"][data-field="birthdate"]');
+        birthdate.setCustomValidity = jest.fn();
+
+        element.shadowRoot.querySelector('[data-id="save"]').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(birthdate.setCustomValidity).toHaveBeenLastCalledWith('Date cannot be in the future');
+        expect(element.shadowRoot.querySelector('[data-id="error-message"]')).not.toBeNull();
+    });
+
+    it('shows the licensing pre-screen saved with the application', async () => {
+        const element = await createEditor({
+            ...STAGING_VIEW,
+            preScreen: {
+                outcome: 'Warning',
+                householdSize: 3,
+                totalMonthlyIncome: 0,
+                personsPerBedroom: 1,
+                findings: [{ rule: 'income', severity: 'warning', path: 'familyMembers', message: 'No monthly income is listed' }]
+            }
+        });
+
+        expect(element.shadowRoot.querySelector('[data-id="pre-screen-outcome"]').label).toBe('Warning');
+        const finding = element.shadowRoot.querySelector('[data-finding="income"]');
+        expect(finding.textContent).toContain('No monthly income is listed');
+    });
+
+    it('is read only once the Lead is converted', async () => {
+        const element = await createEditor({ ...STAGING_VIEW, isConverted: true });
+
+        expect(element.shadowRoot.querySelector('[data-id="save"]')).toBeNull();
+        expect(element.shadowRoot.querySelector('[data-field="firstName"]').disabled).toBe(true);
+    });
+});
@@ -0,0 +1,260 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import getStagedApplication from '@salesforce/apex/ApplicationStagingController.getStagedApplication';
+import saveStagedApplication from '@salesforce/apex/ApplicationStagingController.saveStagedApplication';
+import { getErrorMessage } from 'c/errorUtils';
+
+const MEMBER_PATH = /^familyMembers\[(\d+)\]\.(\w+)$/;
+const HOUSEHOLD_PATH = /^householdInfo\.(\w+)$/;
+const NUMBER_FIELDS = ['monthlyIncome', 'bedrooms', 'squareFootage'];
+
+/**
+ * Review and correct the family members and household an applicant submitted, before the Lead is converted
+ */
+export default class ApplicationStagingEditor extends LightningElement {
+    @api recordId;
+    @track view;
+    @track members = [];
+    @track household = {};
+    @track hasHousehold = false;
+    @track errorMessage = '';
+    @track isLoading = true;
+    @track isSaving = false;
+
+    wiredApplicationResult;
+    nextMemberKey = 0;
+
+    relationshipOptions = [
+        { label: 'Spouse', value: 'Spouse' },
+        { label: 'Partner', value: 'Partner' },
+        { label: 'Child', value: 'Child' },
+        { label: 'Parent', value: 'Parent' },
+        { label: 'Sibling', value: 'Sibling' },
+        { label: 'Other Relative', value: 'Other Relative' },
+        { label: 'Other', value: 'Other' }
+    ];
+
+    homeTypeOptions = [
+        { label: 'Own', value: 'Own' },
+        { label: 'Rent', value: 'Rent' },
+        { label: 'With Family', value: 'With Family' },
+        { label: 'Other', value: 'Other' }
+    ];
+
+    /**
+     * Wire to get the application staged for this Lead
+     */
+    @wire(getStagedApplication, { leadId: '$recordId' })
+    wiredApplication(result) {
+        this.wiredApplicationResult = result;
+
+        if (result.data) {
+            this.loadApplication(result.data);
+            this.errorMessage = '';
+            this.isLoading = false;
+        } else if (result.error) {
+            this.errorMessage = 'Error loading application: ' + getErrorMessage(result.error);
+            this.isLoading = false;
+        }
+    }
+
+    get hasApplication() {
+        return Boolean(this.view);
+    }
+
+    get isCaseworkerApplication() {
+        return this.view.applicationType === 'Caseworker';
+    }
+
+    get isReadOnly() {
+        return this.view.isConverted || this.isSaving;
+    }
+
+    get canEdit() {
+        return !this.view.isConverted;
+    }
+
+    get hasMembers() {
+        return this.members.length > 0;
+    }
+
+    get schemaLabel() {
+        return `Schema version ${this.view.application.schemaVersion}`;
+    }
+
+    /**
+     * Licensing pre-screen as of the last save, with a line per finding
+     */
+    get preScreen() {
+        const preScreen = this.view.preScreen;
+        if (!preScreen) {
+            return null;
+        }
+
+        return {
+            ...preScreen,
+            hasFindings: preScreen.findings.length > 0,
+            findings: preScreen.findings.map(finding => ({
+                ...finding,
+                severityLabel: finding.severity === 'stop' ? 'Blocks licensing' : 'Warning',
+                itemClass: finding.severity === 'stop' ? 'slds-text-color_error' : ''
+            }))
+        };
+    }
+
+    /**
+     * Members with their position and display text
+     */
+    get memberRows() {
+        return this.members.map((member, index) => ({
+            ...member,
+            index,
+            heading: `Family Member ${index + 1}`,
+            removeLabel: `Remove family member ${index + 1}`
+        }));
+    }
+
+    loadApplication(view) {
+        const application = view.application || {};
+        this.view = view;
+        this.members = (application.familyMembers || []).map(member => ({ ...member, key: this.getMemberKey() }));
+        this.household = { ...(application.householdInfo || {}) };
+        this.hasHousehold = Boolean(application.householdInfo);
+    }
+
+    getMemberKey() {
+        this.nextMemberKey += 1;
+        return `member-${this.nextMemberKey}`;
+    }
+
+    handleMemberChange(event) {
+        const { index, field } = event.target.dataset;
+        const value = NUMBER_FIELDS.includes(field) ? this.toNumber(event.target.value) : event.target.value;
+        this.members = this.members.map((member, i) => (
+            i === Number(index) ? { ...member, [field]: value === '' ? null : value } : member
+        ));
+    }
+
+    handleHouseholdChange(event) {
+        const { householdField } = event.target.dataset;
+        let value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        if (NUMBER_FIELDS.includes(householdField)) {
+            value = this.toNumber(value);
+        }
+        this.household = { ...this.household, [householdField]: value };
+    }
+
+    handleHasHouseholdChange(event) {
+        this.hasHousehold = event.target.checked;
+    }
+
+    handleAddMember() {
+        this.members = [...this.members, { key: this.getMemberKey() }];
+    }
+
+    handleRemoveMember(event) {
+        const index = Number(event.currentTarget.dataset.index);
+        this.members = this.members.filter((member, i) => i !== index);
+    }
+
+    handleReset() {
+        this.clearFieldErrors();
+        this.errorMessage = '';
+        this.loadApplication(this.view);
+    }
+
+    /**
+     * Save the corrections; rule failures are shown against their fields
+     */
+    async handleSave() {
+        this.clearFieldErrors();
+        this.errorMessage = '';
+        this.isSaving = true;
+
+        const application = {
+            familyMembers: this.members.map(row => {
+                const member = { ...row };
+                delete member.key;
+                return member;
+            }),
+            householdInfo: this.hasHousehold ? this.household : null
+        };
+
+        try {
+            const result = await saveStagedApplication({
+                leadId: this.recordId,
+                applicationJson: JSON.stringify(application)
+            });
+
+            if (!result.success) {
+                this.errorMessage = 'Correct the highlighted fields and save again.';
+                this.showFieldErrors(result.errors);
+                return;
+            }
+
+            this.showToast('Success', 'Application updated', 'success');
+            await refreshApex(this.wiredApplicationResult);
+        } catch (error) {
+            this.errorMessage = getErrorMessage(error);
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    showFieldErrors(errors) {
+        const unmatched = [];
+
+        errors.forEach(error => {
+            const input = this.findInput(error.path);
+            if (input) {
+                input.setCustomValidity(error.message);
+                input.reportValidity();
+            } else {
+                unmatched.push(error.message);
+            }
+        });
+
+        if (unmatched.length > 0) {
+            this.errorMessage = `${this.errorMessage} ${unmatched.join(' ')}`;
+        }
+    }
+
+    /**
+     * The input a validation error path such as familyMembers[1].email or householdInfo.bedrooms belongs to
+     */
+    findInput(path) {
+        const memberMatch = MEMBER_PATH.exec(path || '');
+        if (memberMatch) {
+            return this.template.querySelector(`[data-index="${memberMatch[1]}"][data-field="${memberMatch[2]}"]`);
+        }
+        const householdMatch = HOUSEHOLD_PATH.exec(path || '');
+        if (householdMatch) {
+            return this.template.querySelector(`[data-household-field="${householdMatch[1]}"]`);
+        }
+        return null;
+    }
+
+    clearFieldErrors() {
+        this.template.querySelectorAll('[data-field], [data-household-field]').forEach(input => {
+            input.setCustomValidity('');
+        });
+    }
+
+    toNumber(value) {
+        return value === '' || value === null || value === undefined ? null : Number(value);
+    }
+
+    /**
+     * Show toast message
+     */
+    showToast(title, message, variant) {
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title: title,
+                message: message,
+                variant: variant
+            })
+        );
+    }
+}
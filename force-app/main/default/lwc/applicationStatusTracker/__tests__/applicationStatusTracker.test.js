@@ -0,0 +1,112 @@
+import { createElement } from '@lwc/engine-dom';
+import ApplicationStatusTracker from 'c/applicationStatusTracker';
+import getApplicationStatus from '@salesforce/apex/ApplicationStatusController.getApplicationStatus';
+import NOT_FOUND_LABEL from '@salesforce/label/c.FosterApp_StatusNotFound';
+import TOO_MANY_ATTEMPTS_LABEL from '@salesforce/label/c.FosterApp_StatusTooManyAttempts';
+import STAGE_COMPLETE_LABEL from '@salesforce/label/c.FosterApp_StageComplete';
+import STAGE_CURRENT_LABEL from '@salesforce/label/c.FosterApp_StageCurrent';
+import STAGE_UPCOMING_LABEL from '@salesforce/label/c.FosterApp_StageUpcoming';
+
+jest.mock(
+    '@salesforce/apex/ApplicationStatusController.getApplicationStatus',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+const UNDER_REVIEW_STATUS = {
+    found: true,
+    currentStage: 'underReview',
+    submittedOn: '2026-09-01',
+    lastUpdatedOn: '2026-09-14',
+    outstandingRequests: ['Upload a copy of your lease', 'Book your home visit']
+};
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
+
+function createTracker() {
+    const element = createElement('c-application-status-tracker', {
+        is: ApplicationStatusTracker
+    });
+    document.body.appendChild(element);
+    return element;
+}
+
+async function lookUp(element, statusCode, email) {
+    const inputs = element.shadowRoot.querySelectorAll('lightning-input');
+    [statusCode, email].forEach((value, index) => {
+        inputs[index].value = value;
+        inputs[index].dispatchEvent(new CustomEvent('change'));
+    });
+    element.shadowRoot.querySelector('[data-id="check-status"]').click();
+    await flushPromises();
+    await flushPromises();
+}
+
+describe('c-application-status-tracker', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('shows the timeline and outstanding requests when both values match', async () => {
+        getApplicationStatus.mockResolvedValue(UNDER_REVIEW_STATUS);
+        const element = createTracker();
+
+        await lookUp(element, ' K7M2P9Q4R8TX ', 'sam@example.com');
+
+        expect(getApplicationStatus).toHaveBeenCalledWith({
+            statusCode: 'K7M2P9Q4R8TX',
+            email: 'sam@example.com',
+            sessionKey: window.sessionStorage.getItem('applicationStatusTracker.sessionKey')
+        });
+
+        const stages = element.shadowRoot.querySelectorAll('[data-stage]');
+        expect([...stages].map(stage => stage.dataset.stage)).toEqual(['received', 'underReview', 'eligible', 'converted']);
+        expect(stages[0].textContent).toContain(STAGE_COMPLETE_LABEL);
+        expect(stages[1].textContent).toContain(STAGE_CURRENT_LABEL);
+        expect(stages[1].getAttribute('aria-current')).toBe('step');
+        expect(stages[2].textContent).toContain(STAGE_UPCOMING_LABEL);
+
+        const requests = element.shadowRoot.querySelectorAll('[data-id="outstanding-requests"] li');
+        expect([...requests].map(request => request.textContent)).toEqual(UNDER_REVIEW_STATUS.outstandingRequests);
+        expect(element.shadowRoot.activeElement).toBe(element.shadowRoot.querySelector('[data-id="status-heading"]'));
+    });
+
+    it('shows the same message for any lookup that does not match', async () => {
+        getApplicationStatus.mockResolvedValue({ found: false, outstandingRequests: [] });
+        const element = createTracker();
+
+        await lookUp(element, 'K7M2P9Q4R8TX', 'someone@example.com');
+
+        expect(element.shadowRoot.querySelector('[data-id="error-message"]').textContent).toBe(NOT_FOUND_LABEL);
+        expect(element.shadowRoot.querySelector('[data-id="status-timeline"]')).toBeNull();
+    });
+
+    it('says so when the server refuses a lookup for too many attempts', async () => {
+        getApplicationStatus.mockResolvedValue({ found: false, tooManyAttempts: true, outstandingRequests: [] });
+        const element = createTracker();
+
+        await lookUp(element, 'K7M2P9Q4R8TX', 'someone@example.com');
+
+        expect(element.shadowRoot.querySelector('[data-id="error-message"]').textContent).toBe(TOO_MANY_ATTEMPTS_LABEL);
+        expect(element.shadowRoot.querySelector('[data-id="status-timeline"]')).toBeNull();
+    });
+
+    it('does not look anything up until both values are filled in correctly', async () => {
+        const element = createTracker();
+
+        await lookUp(element, 'K7M2P9Q4R8TX', 'not-an-email');
+
+        expect(getApplicationStatus).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,174 @@
+import { LightningElement, track } from 'lwc';
+import getApplicationStatus from '@salesforce/apex/ApplicationStatusController.getApplicationStatus';
+import { LABELS } from './labels';
+import { createLogger } from 'c/logger';
+
+const logger = createLogger('applicationStatusTracker');
+// Same check as the application form, so an address it accepted is accepted here
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+// Identifies this browser tab to the server, which limits how many lookups one session can make
+const SESSION_KEY = 'applicationStatusTracker.sessionKey';
+
+// Stages in the order an application moves through them, matching ApplicationStatusController
+const STAGES = [
+    { key: 'received', label: LABELS.stageReceived, help: LABELS.stageReceivedHelp },
+    { key: 'underReview', label: LABELS.stageUnderReview, help: LABELS.stageUnderReviewHelp },
+    { key: 'eligible', label: LABELS.stageEligible, help: LABELS.stageEligibleHelp },
+    { key: 'converted', label: LABELS.stageConverted, help: LABELS.stageConvertedHelp }
+];
+
+/**
+ * The key for this browser session, created on first use
+ */
+function getSessionKey() {
+    const createKey = () => (window.crypto && typeof window.crypto.randomUUID === 'function' ?
+        window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    try {
+        let key = window.sessionStorage.getItem(SESSION_KEY);
+        if (!key) {
+            key = createKey();
+            window.sessionStorage.setItem(SESSION_KEY, key);
+        }
+        return key;
+    } catch {
+        // Without storage every page load is its own session
+        return createKey();
+    }
+}
+
+/**
+ * Public lookup where applicants check how far their application has got, using the status
+ * code from the form's success screen and the email address they applied with.
+ */
+export default class ApplicationStatusTracker extends LightningElement {
+    @track statusCode = '';
+    @track email = '';
+    @track status;
+    @track isLoading = false;
+    @track errorMessage = '';
+
+    labels = LABELS;
+    pendingHeadingFocus = false;
+
+    renderedCallback() {
+        if (!this.pendingHeadingFocus) {
+            return;
+        }
+        const heading = this.template.querySelector('[data-id="status-heading"]');
+        if (heading) {
+            this.pendingHeadingFocus = false;
+            heading.focus();
+        }
+    }
+
+    get hasStatus() {
+        return !!this.status;
+    }
+
+    get hasOutstandingRequests() {
+        return this.status.outstandingRequests.length > 0;
+    }
+
+    /**
+     * Every stage with a text status, so progress does not rely on the icons alone
+     */
+    get stages() {
+        const currentIndex = STAGES.findIndex(stage => stage.key === this.status.currentStage);
+        return STAGES.map((stage, index) => {
+            const isComplete = index < currentIndex;
+            const isCurrent = index === currentIndex;
+            let stateLabel = LABELS.stageUpcoming;
+            if (isComplete) {
+                stateLabel = LABELS.stageComplete;
+            } else if (isCurrent) {
+                stateLabel = LABELS.stageCurrent;
+            }
+            return {
+                ...stage,
+                stateLabel,
+                isCurrent,
+                iconName: isComplete || isCurrent ? 'utility:success' : 'utility:routing_offline',
+                iconVariant: isComplete ? 'success' : '',
+                itemClass: isCurrent ? 'slds-p-vertical_x-small slds-text-title_bold' : 'slds-p-vertical_x-small',
+                ariaCurrent: isCurrent ? 'step' : null
+            };
+        });
+    }
+
+    handleInputChange(event) {
+        this[event.target.dataset.field] = event.target.value;
+    }
+
+    handleKeyUp(event) {
+        if (event.key === 'Enter') {
+            this.handleCheckStatus();
+        }
+    }
+
+    /**
+     * Look the application up; a wrong status code and a wrong email give the same answer
+     */
+    async handleCheckStatus() {
+        if (this.isLoading || !this.validateInputs()) {
+            return;
+        }
+
+        this.isLoading = true;
+        this.errorMessage = '';
+        this.status = undefined;
+        this.announce(LABELS.checkingStatus);
+
+        try {
+            const result = await getApplicationStatus({
+                statusCode: this.statusCode.trim(),
+                email: this.email.trim(),
+                sessionKey: getSessionKey()
+            });
+
+            if (result && result.tooManyAttempts) {
+                this.errorMessage = LABELS.tooManyAttempts;
+                this.announce(LABELS.tooManyAttempts, 'assertive');
+                return;
+            }
+            if (!result || !result.found) {
+                this.errorMessage = LABELS.notFound;
+                this.announce(LABELS.notFound, 'assertive');
+                return;
+            }
+
+            this.status = result;
+            this.pendingHeadingFocus = true;
+
+        } catch (error) {
+            logger.error('handleCheckStatus', error);
+            this.errorMessage = LABELS.lookupFailed;
+            this.announce(LABELS.lookupFailed, 'assertive');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Show an error on each missing or malformed input, returning false if there were any
+     */
+    validateInputs() {
+        let isValid = true;
+        this.template.querySelectorAll('lightning-input').forEach(input => {
+            const value = (this[input.dataset.field] || '').trim();
+            let message = '';
+            if (!value) {
+                message = LABELS.completeThisField;
+            } else if (input.dataset.field === 'email' && !EMAIL_PATTERN.test(value)) {
+                message = LABELS.invalidEmail;
+            }
+            input.setCustomValidity(message);
+            input.reportValidity();
+            isValid = isValid && !message;
+        });
+        return isValid;
+    }
+
+    announce(message, politeness) {
+        this.template.querySelector('c-live-announcer')?.announce(message, politeness);
+    }
+}
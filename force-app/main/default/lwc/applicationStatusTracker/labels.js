@@ -0,0 +1,63 @@
+/**
+ * Text shown on the public status tracker.
+ *
+ * Uses FosterApp_ custom labels like the application form, so both are translated together in
+ * translations/es.translation-meta.xml and show in the site's language.
+ */
+import title from '@salesforce/label/c.FosterApp_StatusTitle';
+import intro from '@salesforce/label/c.FosterApp_StatusIntro';
+import statusCode from '@salesforce/label/c.FosterApp_StatusCodeField';
+import email from '@salesforce/label/c.FosterApp_Email';
+import checkStatus from '@salesforce/label/c.FosterApp_CheckStatus';
+import checkingStatus from '@salesforce/label/c.FosterApp_CheckingStatus';
+import notFound from '@salesforce/label/c.FosterApp_StatusNotFound';
+import lookupFailed from '@salesforce/label/c.FosterApp_StatusLookupFailed';
+import tooManyAttempts from '@salesforce/label/c.FosterApp_StatusTooManyAttempts';
+import completeThisField from '@salesforce/label/c.FosterApp_CompleteThisField';
+import invalidEmail from '@salesforce/label/c.FosterApp_InvalidEmail';
+import heading from '@salesforce/label/c.FosterApp_StatusHeading';
+import submittedOn from '@salesforce/label/c.FosterApp_SubmittedOn';
+import lastUpdated from '@salesforce/label/c.FosterApp_LastUpdated';
+import stageReceived from '@salesforce/label/c.FosterApp_StageReceived';
+import stageReceivedHelp from '@salesforce/label/c.FosterApp_StageReceivedHelp';
+import stageUnderReview from '@salesforce/label/c.FosterApp_StageUnderReview';
+import stageUnderReviewHelp from '@salesforce/label/c.FosterApp_StageUnderReviewHelp';
+import stageEligible from '@salesforce/label/c.FosterApp_StageEligible';
+import stageEligibleHelp from '@salesforce/label/c.FosterApp_StageEligibleHelp';
+import stageConverted from '@salesforce/label/c.FosterApp_StageConverted';
+import stageConvertedHelp from '@salesforce/label/c.FosterApp_StageConvertedHelp';
+import stageComplete from '@salesforce/label/c.FosterApp_StageComplete';
+import stageCurrent from '@salesforce/label/c.FosterApp_StageCurrent';
+import stageUpcoming from '@salesforce/label/c.FosterApp_StageUpcoming';
+import outstandingRequests from '@salesforce/label/c.FosterApp_OutstandingRequests';
+import noOutstandingRequests from '@salesforce/label/c.FosterApp_NoOutstandingRequests';
+
+export const LABELS = {
+    title,
+    intro,
+    statusCode,
+    email,
+    checkStatus,
+    checkingStatus,
+    notFound,
+    lookupFailed,
+    tooManyAttempts,
+    completeThisField,
+    invalidEmail,
+    heading,
+    submittedOn,
+    lastUpdated,
+    stageReceived,
+    stageReceivedHelp,
+    stageUnderReview,
+    stageUnderReviewHelp,
+    stageEligible,
+    stageEligibleHelp,
+    stageConverted,
+    stageConvertedHelp,
+    stageComplete,
+    stageCurrent,
+    stageUpcoming,
+    outstandingRequests,
+    noOutstandingRequests
+};
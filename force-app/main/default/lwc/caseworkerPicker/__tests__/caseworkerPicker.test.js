@@ -0,0 +1,92 @@
+import { createElement } from '@lwc/engine-dom';
+import CaseworkerPicker from 'c/caseworkerPicker';
+
+const CASEWORKERS = [
+    {
+        id: '005000000000001AAA',
+        name: 'Alex Moreno',
+        email: 'alex@example.org',
+        availabilityStatus: 'Available',
+        currentCaseLoad: 4,
+        maximumCaseLoad: 10,
+        remainingCapacity: 6,
+        capacityPercent: 40,
+        specializations: ['Sibling Groups']
+    },
+    {
+        id: '005000000000002AAA',
+        name: 'Jordan Lee',
+        email: 'jordan@example.org',
+        availabilityStatus: 'Available',
+        currentCaseLoad: 7,
+        maximumCaseLoad: 10,
+        remainingCapacity: 3,
+        capacityPercent: 70,
+        specializations: ['Sibling Groups', 'Medical Needs']
+    },
+    {
+        id: '005000000000003AAA',
+        name: 'Sam Patel',
+        email: 'sam@example.org',
+        availabilityStatus: 'Busy',
+        currentCaseLoad: 2,
+        maximumCaseLoad: 10,
+        remainingCapacity: 8,
+        capacityPercent: 20,
+        specializations: ['Medical Needs']
+    }
+];
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
+
+describe('c-caseworker-picker', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('recommends the available caseworker covering the most required specializations', async () => {
+        const element = createElement('c-caseworker-picker', { is: CaseworkerPicker });
+        element.caseworkers = CASEWORKERS;
+        element.requiredSpecializations = ['Sibling Groups', 'Medical Needs'];
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const rows = element.shadowRoot.querySelectorAll('[role="radio"]');
+        expect(rows[0].dataset.id).toBe('005000000000002AAA');
+        expect(rows[0].querySelector('lightning-badge').label).toBe('Recommended');
+
+        const handler = jest.fn();
+        element.addEventListener('select', handler);
+        element.shadowRoot.querySelector('lightning-button').click();
+        expect(handler.mock.calls[0][0].detail.caseworkerId).toBe('005000000000002AAA');
+    });
+
+    it('filters by availability and search term', async () => {
+        const element = createElement('c-caseworker-picker', { is: CaseworkerPicker });
+        element.caseworkers = CASEWORKERS;
+        document.body.appendChild(element);
+        await flushPromises();
+
+        const availability = [...element.shadowRoot.querySelectorAll('lightning-combobox')].find(
+            (combobox) => combobox.label === 'Availability'
+        );
+        availability.dispatchEvent(new CustomEvent('change', { detail: { value: 'Available' } }));
+        await flushPromises();
+        expect(element.shadowRoot.querySelectorAll('[role="radio"]').length).toBe(2);
+
+        const search = element.shadowRoot.querySelector('lightning-input');
+        search.value = 'jordan';
+        search.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        const rows = element.shadowRoot.querySelectorAll('[role="radio"]');
+        expect(rows.length).toBe(1);
+        expect(rows[0].dataset.id).toBe('005000000000002AAA');
+    });
+});
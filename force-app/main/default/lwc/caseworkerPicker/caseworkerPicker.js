@@ -0,0 +1,152 @@
+import { LightningElement, api, track } from 'lwc';
+import { SORT_OPTIONS, countSpecializationMatches, filterCaseworkers, getRecommendedCaseworker, sortCaseworkers } from './caseworkerRanking';
+
+export default class CaseworkerPicker extends LightningElement {
+    @api caseworkers = [];
+    @api selectedCaseworkerId;
+    @api currentCaseworkerId; // The family's current caseworker, if any
+    @api requiredSpecializations = [];
+
+    @track searchTerm = '';
+    @track specializationFilter = '';
+    @track availabilityFilter = '';
+    @track sortBy = 'match';
+
+    sortOptions = SORT_OPTIONS;
+
+    availabilityOptions = [
+        { label: 'Any availability', value: '' },
+        { label: 'Available', value: 'Available' },
+        { label: 'Busy', value: 'Busy' }
+    ];
+
+    /**
+     * Specializations offered by any caseworker, for the filter
+     */
+    get specializationOptions() {
+        const specializations = new Set();
+        (this.caseworkers || []).forEach(cw => (cw.specializations || []).forEach(s => specializations.add(s)));
+
+        return [
+            { label: 'Any specialization', value: '' },
+            ...[...specializations].sort().map(s => ({ label: s, value: s }))
+        ];
+    }
+
+    get recommendedCaseworker() {
+        return getRecommendedCaseworker(this.caseworkers || [], this.requiredSpecializations || []);
+    }
+
+    get hasRequiredSpecializations() {
+        return this.requiredSpecializations && this.requiredSpecializations.length > 0;
+    }
+
+    get requiredSpecializationsLabel() {
+        return (this.requiredSpecializations || []).join(', ');
+    }
+
+    /**
+     * Caseworkers after search, filters and sorting, with display properties
+     */
+    get caseworkerRows() {
+        const required = this.requiredSpecializations || [];
+        const recommendedId = this.recommendedCaseworker?.id;
+        const filtered = filterCaseworkers(this.caseworkers || [], {
+            searchTerm: this.searchTerm,
+            specialization: this.specializationFilter,
+            availability: this.availabilityFilter
+        });
+
+        return sortCaseworkers(filtered, this.sortBy, required).map(cw => {
+            const isSelected = cw.id === this.selectedCaseworkerId;
+            const matches = countSpecializationMatches(cw, required);
+            return {
+                ...cw,
+                isSelected,
+                isRecommended: cw.id === recommendedId,
+                isCurrent: cw.id === this.currentCaseworkerId,
+                isFull: cw.remainingCapacity <= 0,
+                ariaChecked: isSelected ? 'true' : 'false',
+                tabIndex: isSelected ? '0' : '-1',
+                specializationsLabel: (cw.specializations || []).join(', '),
+                matchLabel: required.length ? `Covers ${matches} of ${required.length} needs` : '',
+                capacityLabel: `${cw.currentCaseLoad} of ${cw.maximumCaseLoad} families`,
+                capacityVariant: cw.capacityPercent >= 90 ? 'expired' : cw.capacityPercent >= 70 ? 'warning' : 'base',
+                rowClass: isSelected ?
+                    'slds-box slds-box_x-small slds-m-bottom_x-small slds-theme_info' :
+                    'slds-box slds-box_x-small slds-m-bottom_x-small'
+            };
+        });
+    }
+
+    get hasResults() {
+        return this.caseworkerRows.length > 0;
+    }
+
+    get resultCountLabel() {
+        const shown = this.caseworkerRows.length;
+        const total = (this.caseworkers || []).length;
+        return shown === total ? `${total} caseworkers` : `${shown} of ${total} caseworkers`;
+    }
+
+    handleSearchChange(event) {
+        this.searchTerm = event.target.value;
+    }
+
+    handleSpecializationChange(event) {
+        this.specializationFilter = event.detail.value;
+    }
+
+    handleAvailabilityChange(event) {
+        this.availabilityFilter = event.detail.value;
+    }
+
+    handleSortChange(event) {
+        this.sortBy = event.detail.value;
+    }
+
+    /**
+     * Select a caseworker by clicking a row
+     */
+    handleRowClick(event) {
+        this.selectCaseworker(event.currentTarget.dataset.id);
+    }
+
+    /**
+     * Select with Enter/Space, move between rows with the arrow keys
+     */
+    handleRowKeyDown(event) {
+        const rows = [...this.template.querySelectorAll('[data-id]')];
+        const index = rows.indexOf(event.currentTarget);
+
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.selectCaseworker(event.currentTarget.dataset.id);
+        } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const next = rows[index + (event.key === 'ArrowDown' ? 1 : -1)];
+            if (next) {
+                next.focus();
+            }
+        }
+    }
+
+    /**
+     * Select the recommended caseworker
+     */
+    handleSelectRecommended() {
+        if (this.recommendedCaseworker) {
+            this.selectCaseworker(this.recommendedCaseworker.id);
+        }
+    }
+
+    handleClearFilters() {
+        this.searchTerm = '';
+        this.specializationFilter = '';
+        this.availabilityFilter = '';
+    }
+
+    selectCaseworker(caseworkerId) {
+        this.dispatchEvent(new CustomEvent('select', { detail: { caseworkerId } }));
+    }
+}
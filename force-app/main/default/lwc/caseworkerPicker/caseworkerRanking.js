@@ -0,0 +1,74 @@
+/**
+ * Filtering, sorting and recommendation rules for the caseworker picker.
+ *
+ * Caseworkers are CaseworkerAssignmentService.CaseworkerInfo records.
+ * The recommended caseworker is the Available one with room for another family who covers
+ * the most of the family's required specializations, then has the most remaining capacity.
+ */
+export const SORT_OPTIONS = [
+    { label: 'Best match', value: 'match' },
+    { label: 'Most remaining capacity', value: 'capacity' },
+    { label: 'Lowest case load', value: 'caseLoad' },
+    { label: 'Name', value: 'name' }
+];
+
+/**
+ * Number of the family's required specializations the caseworker covers
+ */
+export function countSpecializationMatches(caseworker, requiredSpecializations = []) {
+    const specializations = caseworker.specializations || [];
+    return requiredSpecializations.filter((required) => specializations.includes(required)).length;
+}
+
+function hasCapacity(caseworker) {
+    return caseworker.availabilityStatus === 'Available' && caseworker.remainingCapacity > 0;
+}
+
+function compareByName(a, b) {
+    return (a.name || '').localeCompare(b.name || '');
+}
+
+function compareByMatch(requiredSpecializations) {
+    return (a, b) =>
+        Number(hasCapacity(b)) - Number(hasCapacity(a)) ||
+        countSpecializationMatches(b, requiredSpecializations) - countSpecializationMatches(a, requiredSpecializations) ||
+        b.remainingCapacity - a.remainingCapacity ||
+        compareByName(a, b);
+}
+
+/**
+ * The caseworker to suggest for the family, or undefined when nobody has capacity
+ */
+export function getRecommendedCaseworker(caseworkers, requiredSpecializations = []) {
+    return [...caseworkers].filter(hasCapacity).sort(compareByMatch(requiredSpecializations))[0];
+}
+
+/**
+ * Apply the search term and filters
+ * filters: { searchTerm, specialization, availability } where empty values match everyone
+ */
+export function filterCaseworkers(caseworkers, { searchTerm, specialization, availability } = {}) {
+    const term = (searchTerm || '').trim().toLowerCase();
+
+    return caseworkers.filter(
+        (caseworker) =>
+            (!term ||
+                (caseworker.name || '').toLowerCase().includes(term) ||
+                (caseworker.email || '').toLowerCase().includes(term)) &&
+            (!specialization || (caseworker.specializations || []).includes(specialization)) &&
+            (!availability || caseworker.availabilityStatus === availability)
+    );
+}
+
+/**
+ * Sort a copy of the list by one of the SORT_OPTIONS values
+ */
+export function sortCaseworkers(caseworkers, sortBy, requiredSpecializations = []) {
+    const comparators = {
+        match: compareByMatch(requiredSpecializations),
+        capacity: (a, b) => b.remainingCapacity - a.remainingCapacity || compareByName(a, b),
+        caseLoad: (a, b) => a.currentCaseLoad - b.currentCaseLoad || compareByName(a, b),
+        name: compareByName
+    };
+    return [...caseworkers].sort(comparators[sortBy] || comparators.match);
+}
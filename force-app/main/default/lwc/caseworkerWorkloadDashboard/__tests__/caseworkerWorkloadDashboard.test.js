@@ -0,0 +1,92 @@
+import { createElement } from '@lwc/engine-dom';
+import CaseworkerWorkloadDashboard from 'c/caseworkerWorkloadDashboard';
+import getCaseworkerWorkloads from '@salesforce/apex/CaseworkerWorkloadController.getCaseworkerWorkloads';
+import reassignFamily from '@salesforce/apex/CaseworkerWorkloadController.reassignFamily';
+
+jest.mock(
+    '@salesforce/apex/CaseworkerWorkloadController.getCaseworkerWorkloads',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/CaseworkerWorkloadController.reassignFamily',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const WORKLOADS = [
+    {
+        caseworkerId: '003000000000001AAA',
+        name: 'Alex Moreno',
+        currentCaseLoad: 2,
+        maximumCaseLoad: 10,
+        availabilityStatus: 'Available',
+        specialization: 'Sibling Groups',
+        families: [{ accountId: '001000000000001AAA', accountName: 'Reyes Household', city: 'Austin' }]
+    },
+    {
+        caseworkerId: '003000000000002AAA',
+        name: 'Jordan Lee',
+        currentCaseLoad: 5,
+        maximumCaseLoad: 5,
+        availabilityStatus: 'Busy',
+        families: []
+    }
+];
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
+
+describe('c-caseworker-workload-dashboard', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('warns before moving a family to a caseworker at maximum case load', async () => {
+        reassignFamily.mockResolvedValue(true);
+        const element = createElement('c-caseworker-workload-dashboard', { is: CaseworkerWorkloadDashboard });
+        document.body.appendChild(element);
+
+        getCaseworkerWorkloads.emit(WORKLOADS);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelectorAll('li[data-account-id]').length).toBe(1);
+
+        const moveButton = [...element.shadowRoot.querySelectorAll('lightning-button')].find(
+            (button) => button.label === 'Move'
+        );
+        moveButton.click();
+        await flushPromises();
+
+        const combobox = element.shadowRoot.querySelector('lightning-combobox');
+        expect(combobox.options.map((option) => option.value)).toEqual(['003000000000002AAA']);
+
+        combobox.dispatchEvent(new CustomEvent('change', { detail: { value: '003000000000002AAA' } }));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('.slds-theme_warning')).not.toBeNull();
+        const confirmButton = [...element.shadowRoot.querySelectorAll('lightning-button')].find(
+            (button) => button.label === 'Move Anyway'
+        );
+        confirmButton.click();
+        await flushPromises();
+
+        expect(reassignFamily).toHaveBeenCalledWith({
+            accountId: '001000000000001AAA',
+            newCaseworkerId: '003000000000002AAA',
+            allowOverCapacity: true
+        });
+    });
+});
@@ -0,0 +1,251 @@
+import { LightningElement, track, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import getCaseworkerWorkloads from '@salesforce/apex/CaseworkerWorkloadController.getCaseworkerWorkloads';
+import reassignFamily from '@salesforce/apex/CaseworkerWorkloadController.reassignFamily';
+import { getErrorMessage } from 'c/errorUtils';
+
+export default class CaseworkerWorkloadDashboard extends LightningElement {
+    @track workloads = [];
+    @track isLoading = true;
+    @track errorMessage = '';
+    @track showMoveModal = false;
+    @track pendingMove = this.getEmptyMove();
+    @track isMoving = false;
+    @track dropTargetId;
+
+    wiredWorkloadsResult;
+    draggedFamily;
+
+    /**
+     * Wire to get every caseworker's workload
+     */
+    @wire(getCaseworkerWorkloads)
+    wiredWorkloads(result) {
+        this.wiredWorkloadsResult = result;
+
+        if (result.data) {
+            this.workloads = result.data;
+            this.errorMessage = '';
+            this.isLoading = false;
+        } else if (result.error) {
+            this.errorMessage = 'Error loading caseworker workloads: ' + getErrorMessage(result.error);
+            this.isLoading = false;
+        }
+    }
+
+    get hasWorkloads() {
+        return this.workloads && this.workloads.length > 0;
+    }
+
+    /**
+     * Caseworkers with display properties for their column
+     */
+    get caseworkerColumns() {
+        return this.workloads.map(cw => {
+            const loadPercent = cw.maximumCaseLoad > 0 ?
+                Math.min(Math.round(cw.currentCaseLoad * 100 / cw.maximumCaseLoad), 100) : 100;
+            const isOverCapacity = cw.currentCaseLoad > cw.maximumCaseLoad;
+            const isAtCapacity = cw.currentCaseLoad >= cw.maximumCaseLoad;
+
+            return {
+                ...cw,
+                loadPercent,
+                isOverCapacity,
+                isAtCapacity,
+                loadLabel: `${cw.currentCaseLoad} / ${cw.maximumCaseLoad}`,
+                loadVariant: isAtCapacity ? 'expired' : loadPercent >= 80 ? 'warning' : 'base',
+                families: cw.families.map(family => ({ ...family, accountLink: `/${family.accountId}` })),
+                hasFamilies: cw.families.length > 0,
+                columnClass: cw.caseworkerId === this.dropTargetId ?
+                    'slds-box slds-theme_shade slds-m-bottom_small' :
+                    'slds-box slds-m-bottom_small'
+            };
+        });
+    }
+
+    get totalFamilies() {
+        return this.workloads.reduce((total, cw) => total + cw.families.length, 0);
+    }
+
+    get atCapacityCount() {
+        return this.workloads.filter(cw => cw.currentCaseLoad >= cw.maximumCaseLoad).length;
+    }
+
+    /**
+     * Caseworkers the pending move can go to
+     */
+    get moveTargetOptions() {
+        return this.workloads
+            .filter(cw => cw.caseworkerId !== this.pendingMove.fromCaseworkerId)
+            .map(cw => ({
+                label: `${cw.name} (${cw.currentCaseLoad}/${cw.maximumCaseLoad}) - ${cw.availabilityStatus}`,
+                value: cw.caseworkerId
+            }));
+    }
+
+    get moveTarget() {
+        return this.workloads.find(cw => cw.caseworkerId === this.pendingMove.toCaseworkerId);
+    }
+
+    /**
+     * Whether the pending move would push the new caseworker past their maximum case load
+     */
+    get moveExceedsCapacity() {
+        const target = this.moveTarget;
+        return Boolean(target) && target.currentCaseLoad + 1 > target.maximumCaseLoad;
+    }
+
+    get moveButtonLabel() {
+        return this.moveExceedsCapacity ? 'Move Anyway' : 'Move';
+    }
+
+    get moveButtonVariant() {
+        return this.moveExceedsCapacity ? 'destructive' : 'brand';
+    }
+
+    get isMoveDisabled() {
+        return this.isMoving || !this.pendingMove.toCaseworkerId;
+    }
+
+    /**
+     * Handle the Move button on a family
+     */
+    handleMoveClick(event) {
+        const { accountId, caseworkerId } = event.currentTarget.dataset;
+        this.setPendingMove(accountId, caseworkerId, null);
+        this.showMoveModal = true;
+    }
+
+    handleMoveTargetChange(event) {
+        this.pendingMove = { ...this.pendingMove, toCaseworkerId: event.detail.value };
+    }
+
+    /**
+     * Drag a family card to another caseworker's column
+     */
+    handleDragStart(event) {
+        const { accountId, caseworkerId } = event.currentTarget.dataset;
+        this.draggedFamily = { accountId, caseworkerId };
+        event.dataTransfer.setData('text/plain', accountId);
+        event.dataTransfer.effectAllowed = 'move';
+    }
+
+    handleDragEnd() {
+        this.draggedFamily = null;
+        this.dropTargetId = null;
+    }
+
+    handleDragOver(event) {
+        if (this.draggedFamily) {
+            event.preventDefault();
+            this.dropTargetId = event.currentTarget.dataset.caseworkerId;
+        }
+    }
+
+    handleDragLeave(event) {
+        if (this.dropTargetId === event.currentTarget.dataset.caseworkerId) {
+            this.dropTargetId = null;
+        }
+    }
+
+    /**
+     * Move immediately when the caseworker has room, otherwise ask for confirmation first
+     */
+    handleDrop(event) {
+        event.preventDefault();
+        const toCaseworkerId = event.currentTarget.dataset.caseworkerId;
+        const dragged = this.draggedFamily;
+        this.handleDragEnd();
+
+        if (!dragged || dragged.caseworkerId === toCaseworkerId) {
+            return;
+        }
+
+        this.setPendingMove(dragged.accountId, dragged.caseworkerId, toCaseworkerId);
+        if (this.moveExceedsCapacity) {
+            this.showMoveModal = true;
+        } else {
+            this.handleConfirmMove();
+        }
+    }
+
+    setPendingMove(accountId, fromCaseworkerId, toCaseworkerId) {
+        const from = this.workloads.find(cw => cw.caseworkerId === fromCaseworkerId);
+        const family = from ? from.families.find(f => f.accountId === accountId) : null;
+
+        this.pendingMove = {
+            accountId,
+            accountName: family ? family.accountName : '',
+            fromCaseworkerId,
+            fromCaseworkerName: from ? from.name : '',
+            toCaseworkerId
+        };
+    }
+
+    /**
+     * Save the pending move
+     */
+    async handleConfirmMove() {
+        const { accountId, accountName, toCaseworkerId } = this.pendingMove;
+        const target = this.moveTarget;
+        this.isMoving = true;
+
+        try {
+            await reassignFamily({
+                accountId,
+                newCaseworkerId: toCaseworkerId,
+                allowOverCapacity: this.moveExceedsCapacity
+            });
+
+            this.showToast('Success', `${accountName} moved to ${target.name}`, 'success');
+            this.handleCloseMoveModal();
+
+            await refreshApex(this.wiredWorkloadsResult);
+        } catch (error) {
+            this.showToast('Error', getErrorMessage(error), 'error');
+        } finally {
+            this.isMoving = false;
+        }
+    }
+
+    handleCloseMoveModal() {
+        this.showMoveModal = false;
+        this.pendingMove = this.getEmptyMove();
+    }
+
+    /**
+     * Handle refresh button
+     */
+    async handleRefresh() {
+        this.isLoading = true;
+        try {
+            await refreshApex(this.wiredWorkloadsResult);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    getEmptyMove() {
+        return {
+            accountId: null,
+            accountName: '',
+            fromCaseworkerId: null,
+            fromCaseworkerName: '',
+            toCaseworkerId: null
+        };
+    }
+
+    /**
+     * Show toast message
+     */
+    showToast(title, message, variant) {
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title: title,
+                message: message,
+                variant: variant
+            })
+        );
+    }
+}
@@ -0,0 +1,66 @@
+import { createElement } from '@lwc/engine-dom';
+import EmploymentHouseholdEditor from 'c/employmentHouseholdEditor';
+import getHouseholdContext from '@salesforce/apex/EmploymentHouseholdController.getHouseholdContext';
+import getEmploymentDetails from '@salesforce/apex/EmploymentHouseholdController.getEmploymentDetails';
+
+jest.mock(
+    '@salesforce/apex/EmploymentHouseholdController.getHouseholdContext',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/EmploymentHouseholdController.getEmploymentDetails',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+const PORTAL_CONTEXT = {
+    accountId: '001000000000001AAA',
+    canVerifyHomeSafety: false,
+    members: [{ contactId: '003000000000001AAA', name: 'Dana Reyes', role: 'Primary Contact' }]
+};
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
+
+describe('c-employment-household-editor', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('shows the current job and locks safety verification for portal users', async () => {
+        const element = createElement('c-employment-household-editor', {
+            is: EmploymentHouseholdEditor
+        });
+        document.body.appendChild(element);
+
+        getHouseholdContext.emit(PORTAL_CONTEXT);
+        await flushPromises();
+        getEmploymentDetails.emit([
+            { id: 'a01000000000001AAA', employerName: 'Acme Corp', jobTitle: 'Nurse', isCurrentEmployment: true }
+        ]);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('lightning-tabset')).toBeNull();
+        expect(element.shadowRoot.textContent).toContain('Currently: Nurse at Acme Corp');
+
+        const verified = element.shadowRoot.querySelector('lightning-input[data-field="homeSafetyVerified"]');
+        expect(verified.disabled).toBe(true);
+    });
+});
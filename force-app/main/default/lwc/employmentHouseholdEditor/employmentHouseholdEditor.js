@@ -0,0 +1,429 @@
+import { LightningElement, api, wire, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import LightningConfirm from 'lightning/confirm';
+import getHouseholdContext from '@salesforce/apex/EmploymentHouseholdController.getHouseholdContext';
+import getEmploymentDetails from '@salesforce/apex/EmploymentHouseholdController.getEmploymentDetails';
+import createEmploymentDetail from '@salesforce/apex/EmploymentHouseholdController.createEmploymentDetail';
+import updateEmploymentDetail from '@salesforce/apex/EmploymentHouseholdController.updateEmploymentDetail';
+import deleteEmploymentDetail from '@salesforce/apex/EmploymentHouseholdController.deleteEmploymentDetail';
+import getHouseholdBackground from '@salesforce/apex/EmploymentHouseholdController.getHouseholdBackground';
+import saveHouseholdBackground from '@salesforce/apex/EmploymentHouseholdController.saveHouseholdBackground';
+import { getErrorMessage } from 'c/errorUtils';
+
+const EMPLOYMENT_COLUMNS = [
+    { label: 'Employer', fieldName: 'employerName' },
+    { label: 'Job Title', fieldName: 'jobTitle' },
+    { label: 'Status', fieldName: 'employmentStatus' },
+    { label: 'Start Date', fieldName: 'startDate', type: 'date-local' },
+    { label: 'End Date', fieldName: 'endDate', type: 'date-local' },
+    { label: 'Monthly Income', fieldName: 'monthlyIncome', type: 'currency' },
+    { label: 'Current', fieldName: 'isCurrentEmployment', type: 'boolean' },
+    {
+        type: 'action',
+        typeAttributes: {
+            rowActions: [
+                { label: 'Edit', name: 'edit' },
+                { label: 'Delete', name: 'delete' }
+            ]
+        }
+    }
+];
+
+export default class EmploymentHouseholdEditor extends LightningElement {
+    @api recordId; // Account or Contact Id on record pages; empty in the family portal
+    @track householdContext;
+    @track selectedContactId;
+    @track employmentHistory = [];
+    @track household = this.getEmptyHousehold();
+    @track currentEmployment = this.getEmptyEmployment();
+    @track showEmploymentModal = false;
+    @track isSavingEmployment = false;
+    @track isSavingHousehold = false;
+    @track isHouseholdDirty = false;
+    @track errorMessage = '';
+
+    employmentColumns = EMPLOYMENT_COLUMNS;
+    wiredContextResult;
+    wiredEmploymentResult;
+    wiredHouseholdResult;
+
+    employmentStatusOptions = [
+        { label: 'Full Time', value: 'Full Time' },
+        { label: 'Part Time', value: 'Part Time' },
+        { label: 'Self Employed', value: 'Self Employed' },
+        { label: 'Contract', value: 'Contract' },
+        { label: 'Unemployed', value: 'Unemployed' },
+        { label: 'Retired', value: 'Retired' }
+    ];
+
+    homeTypeOptions = [
+        { label: 'Own', value: 'Own' },
+        { label: 'Rent', value: 'Rent' },
+        { label: 'With Family', value: 'With Family' },
+        { label: 'Other', value: 'Other' }
+    ];
+
+    /**
+     * Wire to resolve the household and its members
+     */
+    @wire(getHouseholdContext, { recordId: '$recordId' })
+    wiredContext(result) {
+        this.wiredContextResult = result;
+
+        if (result.data) {
+            this.householdContext = result.data;
+            this.errorMessage = '';
+
+            const members = result.data.members || [];
+            if (!members.some(member => member.contactId === this.selectedContactId)) {
+                this.selectedContactId = members.length ? members[0].contactId : undefined;
+            }
+        } else if (result.error) {
+            this.householdContext = undefined;
+            this.errorMessage = 'Error loading household: ' + getErrorMessage(result.error);
+        }
+    }
+
+    /**
+     * Wire to get the selected member's employment history
+     */
+    @wire(getEmploymentDetails, { contactId: '$selectedContactId' })
+    wiredEmployment(result) {
+        this.wiredEmploymentResult = result;
+
+        if (result.data) {
+            this.employmentHistory = result.data;
+        } else if (result.error) {
+            this.employmentHistory = [];
+            this.showToast('Error', getErrorMessage(result.error), 'error');
+        }
+    }
+
+    /**
+     * Wire to get the household background
+     */
+    @wire(getHouseholdBackground, { accountId: '$accountId' })
+    wiredHousehold(result) {
+        this.wiredHouseholdResult = result;
+
+        if (result.data) {
+            this.household = { ...this.getEmptyHousehold(), ...result.data };
+            this.isHouseholdDirty = false;
+        } else if (result.data === null) {
+            // No household background saved yet
+            this.household = this.getEmptyHousehold();
+            this.isHouseholdDirty = false;
+        } else if (result.error) {
+            this.showToast('Error', getErrorMessage(result.error), 'error');
+        }
+    }
+
+    get accountId() {
+        return this.householdContext?.accountId;
+    }
+
+    get members() {
+        return this.householdContext?.members || [];
+    }
+
+    get hasMembers() {
+        return this.members.length > 0;
+    }
+
+    get showMemberTabs() {
+        return this.members.length > 1;
+    }
+
+    get selectedMember() {
+        return this.members.find(member => member.contactId === this.selectedContactId);
+    }
+
+    get hasEmploymentHistory() {
+        return this.employmentHistory && this.employmentHistory.length > 0;
+    }
+
+    /**
+     * The current job of the selected member, if any
+     */
+    get currentJob() {
+        return this.employmentHistory.find(emp => emp.isCurrentEmployment);
+    }
+
+    get canVerifyHomeSafety() {
+        return this.householdContext?.canVerifyHomeSafety === true;
+    }
+
+    get homeSafetyLocked() {
+        return !this.canVerifyHomeSafety;
+    }
+
+    get saveHouseholdDisabled() {
+        return this.isSavingHousehold || !this.isHouseholdDirty;
+    }
+
+    get employmentModalTitle() {
+        return this.currentEmployment.id ? 'Edit Employment' : 'Add Employment';
+    }
+
+    /**
+     * A current job has no end date
+     */
+    get endDateDisabled() {
+        return this.currentEmployment.isCurrentEmployment === true;
+    }
+
+    /**
+     * Handle member tab change
+     */
+    handleMemberSelect(event) {
+        this.selectedContactId = event.target.value;
+    }
+
+    /**
+     * Handle add employment button click
+     */
+    handleAddEmployment() {
+        this.currentEmployment = {
+            ...this.getEmptyEmployment(),
+            // A person's first job on record is most likely their current one
+            isCurrentEmployment: !this.currentJob
+        };
+        this.showEmploymentModal = true;
+    }
+
+    /**
+     * Handle employment row actions
+     */
+    handleEmploymentRowAction(event) {
+        const row = event.detail.row;
+
+        if (event.detail.action.name === 'edit') {
+            this.currentEmployment = { ...row };
+            this.showEmploymentModal = true;
+        } else if (event.detail.action.name === 'delete') {
+            this.deleteEmployment(row);
+        }
+    }
+
+    /**
+     * Handle employment field changes in modal
+     */
+    handleEmploymentFieldChange(event) {
+        const field = event.currentTarget.dataset.field;
+        const value = event.target.type === 'checkbox' || event.target.type === 'toggle' ?
+            event.target.checked : event.detail.value;
+
+        this.currentEmployment = {
+            ...this.currentEmployment,
+            [field]: value
+        };
+
+        if (field === 'isCurrentEmployment' && value) {
+            this.currentEmployment.endDate = null;
+        }
+    }
+
+    /**
+     * Handle save employment
+     */
+    async handleSaveEmployment() {
+        if (!this.validateEmployment()) {
+            return;
+        }
+
+        this.isSavingEmployment = true;
+
+        try {
+            const employmentJson = JSON.stringify({
+                ...this.currentEmployment,
+                monthlyIncome: this.toNumber(this.currentEmployment.monthlyIncome)
+            });
+
+            if (this.currentEmployment.id) {
+                await updateEmploymentDetail({ employmentJson });
+                this.showToast('Success', 'Employment updated successfully', 'success');
+            } else {
+                await createEmploymentDetail({ employmentJson, contactId: this.selectedContactId });
+                this.showToast('Success', 'Employment added successfully', 'success');
+            }
+
+            await refreshApex(this.wiredEmploymentResult);
+            this.handleCloseEmploymentModal();
+
+        } catch (error) {
+            this.showToast('Error', getErrorMessage(error), 'error');
+        } finally {
+            this.isSavingEmployment = false;
+        }
+    }
+
+    /**
+     * Check the employment form, showing inline errors
+     */
+    validateEmployment() {
+        const inputs = [...this.template.querySelectorAll('[data-employment-input]')];
+        const endDateInput = inputs.find(input => input.dataset.field === 'endDate');
+        const { startDate, endDate } = this.currentEmployment;
+
+        if (endDateInput) {
+            endDateInput.setCustomValidity(
+                startDate && endDate && endDate < startDate ? 'End date cannot be before the start date' : ''
+            );
+        }
+
+        return inputs.reduce((valid, input) => input.reportValidity() && valid, true);
+    }
+
+    /**
+     * Delete an employment record after confirmation
+     */
+    async deleteEmployment(row) {
+        const confirmed = await LightningConfirm.open({
+            message: `Delete the employment record for ${row.employerName}?`,
+            label: 'Delete Employment',
+            theme: 'warning'
+        });
+
+        if (!confirmed) {
+            return;
+        }
+
+        try {
+            await deleteEmploymentDetail({ employmentId: row.id });
+            this.showToast('Success', 'Employment deleted successfully', 'success');
+            await refreshApex(this.wiredEmploymentResult);
+        } catch (error) {
+            this.showToast('Error', getErrorMessage(error), 'error');
+        }
+    }
+
+    /**
+     * Handle close employment modal
+     */
+    handleCloseEmploymentModal() {
+        this.showEmploymentModal = false;
+        this.currentEmployment = this.getEmptyEmployment();
+    }
+
+    /**
+     * Handle household field changes
+     */
+    handleHouseholdFieldChange(event) {
+        const field = event.currentTarget.dataset.field;
+        const value = event.target.type === 'checkbox' || event.target.type === 'toggle' ?
+            event.target.checked : event.detail.value;
+
+        this.household = {
+            ...this.household,
+            [field]: value
+        };
+        this.isHouseholdDirty = true;
+
+        if (field === 'homeSafetyVerified' && value && !this.household.homeSafetyVerificationDate) {
+            this.household.homeSafetyVerificationDate = new Date().toISOString().slice(0, 10);
+        }
+    }
+
+    /**
+     * Handle save household background
+     */
+    async handleSaveHousehold() {
+        const inputs = [...this.template.querySelectorAll('[data-household-input]')];
+        const allValid = inputs.reduce((valid, input) => input.reportValidity() && valid, true);
+        if (!allValid) {
+            return;
+        }
+
+        this.isSavingHousehold = true;
+
+        try {
+            await saveHouseholdBackground({
+                householdJson: JSON.stringify({
+                    ...this.household,
+                    numberOfBedrooms: this.toNumber(this.household.numberOfBedrooms),
+                    squareFootage: this.toNumber(this.household.squareFootage),
+                    numberOfChildrenInHome: this.toNumber(this.household.numberOfChildrenInHome),
+                    totalHouseholdIncome: this.toNumber(this.household.totalHouseholdIncome)
+                }),
+                accountId: this.accountId
+            });
+            this.showToast('Success', 'Household information saved successfully', 'success');
+            await refreshApex(this.wiredHouseholdResult);
+            this.isHouseholdDirty = false;
+        } catch (error) {
+            this.showToast('Error', getErrorMessage(error), 'error');
+        } finally {
+            this.isSavingHousehold = false;
+        }
+    }
+
+    /**
+     * Discard unsaved household changes
+     */
+    handleResetHousehold() {
+        const saved = this.wiredHouseholdResult?.data;
+        this.household = { ...this.getEmptyHousehold(), ...(saved || {}) };
+        this.isHouseholdDirty = false;
+    }
+
+    /**
+     * Convert an input value to a number for Apex, treating blanks as null
+     */
+    toNumber(value) {
+        return value === '' || value === null || value === undefined ? null : Number(value);
+    }
+
+    /**
+     * Get empty employment object
+     */
+    getEmptyEmployment() {
+        return {
+            id: null,
+            employerName: '',
+            jobTitle: '',
+            employmentStatus: '',
+            startDate: null,
+            endDate: null,
+            monthlyIncome: null,
+            employerPhone: '',
+            employerAddress: '',
+            isCurrentEmployment: false
+        };
+    }
+
+    /**
+     * Get empty household object
+     */
+    getEmptyHousehold() {
+        return {
+            id: null,
+            homeType: '',
+            numberOfBedrooms: 0,
+            squareFootage: 0,
+            hasPool: false,
+            hasPets: false,
+            petDetails: '',
+            smokingHousehold: false,
+            numberOfChildrenInHome: 0,
+            childrenAges: '',
+            homeSafetyVerified: false,
+            homeSafetyVerificationDate: null,
+            totalHouseholdIncome: null,
+            additionalNotes: ''
+        };
+    }
+
+    /**
+     * Show toast message
+     */
+    showToast(title, message, variant) {
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title: title,
+                message: message,
+                variant: variant
+            })
+        );
+    }
+}
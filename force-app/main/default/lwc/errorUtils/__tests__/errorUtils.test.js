@@ -0,0 +1,95 @@
+import { getErrorMessage, isTransientError, normalizeErrors, UNKNOWN_ERROR } from 'c/errorUtils';
+
+describe('c-error-utils', () => {
+    it('reads messages from JavaScript errors, strings and Apex errors', () => {
+        expect(getErrorMessage(new Error('Network down'))).toBe('Network down');
+        expect(getErrorMessage('Plain message')).toBe('Plain message');
+        expect(getErrorMessage({ body: { message: 'Record is locked' } })).toBe('Record is locked');
+        expect(getErrorMessage([{ body: [{ message: 'First' }, { message: 'Second' }] }, new Error('First')])).toBe('First; Second');
+        expect(getErrorMessage(undefined)).toBe(UNKNOWN_ERROR);
+        expect(getErrorMessage({})).toBe(UNKNOWN_ERROR);
+    });
+
+    it('separates page errors from field errors on unhandled DML exceptions', () => {
+        const result = normalizeErrors({
+            body: {
+                pageErrors: [{ message: 'Household is closed', statusCode: 'FIELD_CUSTOM_VALIDATION_EXCEPTION' }],
+                fieldErrors: {
+                    Email: [{ message: 'Enter a valid email', statusCode: 'INVALID_EMAIL_ADDRESS' }],
+                    Birthdate: [{ message: 'Birthdate cannot be in the future' }, { message: 'Birthdate is required' }]
+                }
+            }
+        });
+
+        expect(result.pageErrors).toEqual(['Household is closed']);
+        expect(result.fieldErrors).toEqual({
+            Email: 'Enter a valid email',
+            Birthdate: 'Birthdate cannot be in the future Birthdate is required'
+        });
+        expect(result.messages.length).toBe(4);
+    });
+
+    it('reads UI API output errors in place of the summary message', () => {
+        const result = normalizeErrors({
+            body: {
+                message: 'An error occurred while trying to update the record. Please try again.',
+                output: {
+                    errors: [{ errorCode: 'DUPLICATES_DETECTED', message: 'Use one of these records?' }],
+                    fieldErrors: { Phone: [{ errorCode: 'INVALID_OR_NULL_FOR_RESTRICTED_PICKLIST', message: 'Bad phone' }] }
+                }
+            }
+        });
+
+        expect(result.messages).toEqual(['Use one of these records?', 'Bad phone']);
+        expect(result.pageErrors).toEqual(['Use one of these records?']);
+        expect(result.fieldErrors).toEqual({ Phone: 'Bad phone' });
+    });
+
+    it('unpacks DML messages wrapped in an AuraHandledException', () => {
+        const validationRule = normalizeErrors({
+            body: {
+                message: 'Error creating family member: Insert failed. First exception on row 0; first error: ' +
+                    'FIELD_CUSTOM_VALIDATION_EXCEPTION, Birthdate cannot be in the future: [Birthdate]'
+            }
+        });
+        expect(validationRule.fieldErrors).toEqual({ Birthdate: 'Birthdate cannot be in the future' });
+        expect(validationRule.pageErrors).toEqual([]);
+
+        const requiredFields = normalizeErrors({
+            body: {
+                message: 'Update failed. First exception on row 0 with id 003000000000001AAA; first error: ' +
+                    'REQUIRED_FIELD_MISSING, Required fields are missing: [LastName, Email]: [LastName, Email]'
+            }
+        });
+        expect(requiredFields.fieldErrors).toEqual({
+            LastName: 'Required fields are missing: [LastName, Email]',
+            Email: 'Required fields are missing: [LastName, Email]'
+        });
+
+        const pageLevel = normalizeErrors({
+            body: { message: 'Insert failed. First exception on row 0; first error: FIELD_CUSTOM_VALIDATION_EXCEPTION, Family is closed: []' }
+        });
+        expect(pageLevel.pageErrors).toEqual(['Family is closed']);
+        expect(pageLevel.fieldErrors).toEqual({});
+    });
+
+    it('treats lost connections, timeouts and lock contention as transient', () => {
+        expect(isTransientError({ status: 0, body: { message: 'Disconnected or Canceled' } })).toBe(true);
+        expect(isTransientError({ status: 504, body: { message: 'Gateway Timeout' } })).toBe(true);
+        expect(isTransientError(new TypeError('Failed to fetch'))).toBe(true);
+        expect(isTransientError({
+            status: 500,
+            body: {
+                message: 'Error submitting application: Insert failed. First exception on row 0; first error: ' +
+                    'UNABLE_TO_LOCK_ROW, unable to obtain exclusive access to this record: []'
+            }
+        })).toBe(true);
+
+        expect(isTransientError({
+            status: 500,
+            body: { message: 'Error submitting application: first error: FIELD_CUSTOM_VALIDATION_EXCEPTION, Bad phone: [Phone]' }
+        })).toBe(false);
+        expect(isTransientError(new Error('Cannot read properties of undefined'))).toBe(false);
+        expect(isTransientError(undefined)).toBe(false);
+    });
+});
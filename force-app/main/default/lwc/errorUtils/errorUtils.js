@@ -0,0 +1,159 @@
+/**
+ * Shared error normalization for Apex, UI API and JavaScript errors.
+ *
+ * Usage:
+ *   import { getErrorMessage, normalizeErrors } from 'c/errorUtils';
+ *   this.showToast('Error', getErrorMessage(error), 'error');
+ *   const { fieldErrors, pageErrors } = normalizeErrors(error);
+ *   if (isTransientError(error)) { ...retry... }
+ *
+ * Errors arrive in several shapes, all of which are read:
+ * - a JavaScript Error or a plain string
+ * - Apex: { body: { message } }, or { body: { pageErrors, fieldErrors } } for unhandled DML exceptions
+ * - UI API: { body: { message, output: { errors, fieldErrors } } }
+ * - arrays of any of these, or a body that is itself an array
+ * DML messages wrapped in an AuraHandledException, such as
+ * "...first error: FIELD_CUSTOM_VALIDATION_EXCEPTION, Birthdate cannot be in the future: [Birthdate]",
+ * are reduced to the validation message and attached to the fields they name.
+ */
+export const UNKNOWN_ERROR = 'An unknown error occurred';
+
+const DML_ERROR_PATTERN = /first error: [A-Z_]+, ([\s\S]*?)(?:: \[([^\]]*)\])?$/;
+
+/**
+ * Validation message and field API names from a DML exception message
+ */
+function parseDmlMessage(message) {
+    const match = DML_ERROR_PATTERN.exec(message);
+    if (!match) {
+        return { message, fields: [] };
+    }
+    return {
+        message: match[1].trim(),
+        fields: (match[2] || '').split(',').map(field => field.trim()).filter(Boolean)
+    };
+}
+
+function addEntry(entries, message, field) {
+    if (!message) {
+        return;
+    }
+    const parsed = parseDmlMessage(String(message));
+    entries.push({ message: parsed.message, fields: field ? [field] : parsed.fields });
+}
+
+function addFieldErrors(entries, fieldErrors) {
+    Object.keys(fieldErrors || {}).forEach(field => {
+        (fieldErrors[field] || []).forEach(error => addEntry(entries, error.message, field));
+    });
+}
+
+function collectBody(entries, body) {
+    if (Array.isArray(body)) {
+        body.forEach(item => collectBody(entries, item));
+        return;
+    }
+    if (!body) {
+        return;
+    }
+
+    const before = entries.length;
+    (body.pageErrors || []).forEach(error => addEntry(entries, error.message));
+    addFieldErrors(entries, body.fieldErrors);
+    if (body.output) {
+        (body.output.errors || []).forEach(error => addEntry(entries, error.message, error.field));
+        addFieldErrors(entries, body.output.fieldErrors);
+    }
+
+    // The top-level message only summarises the detailed errors, so it is used when there are none
+    if (entries.length === before) {
+        addEntry(entries, body.message);
+    }
+}
+
+function collectErrors(entries, error) {
+    if (!error) {
+        return;
+    }
+    if (Array.isArray(error)) {
+        error.forEach(item => collectErrors(entries, item));
+    } else if (typeof error === 'string') {
+        addEntry(entries, error);
+    } else if (error.body) {
+        const before = entries.length;
+        collectBody(entries, error.body);
+        if (entries.length === before) {
+            addEntry(entries, error.statusText);
+        }
+    } else {
+        addEntry(entries, error.message);
+    }
+}
+
+/**
+ * Every message in an error or list of errors
+ * Returns { messages, pageErrors, fieldErrors }: all unique messages, the messages that belong to
+ * no field, and a map of field API name to its message(s)
+ */
+export function normalizeErrors(errors) {
+    const entries = [];
+    collectErrors(entries, errors);
+
+    const messages = [];
+    const pageErrors = [];
+    const fieldErrors = {};
+    entries.forEach(({ message, fields }) => {
+        if (!messages.includes(message)) {
+            messages.push(message);
+        }
+        if (fields.length === 0) {
+            if (!pageErrors.includes(message)) {
+                pageErrors.push(message);
+            }
+            return;
+        }
+        fields.forEach(field => {
+            if (!fieldErrors[field]) {
+                fieldErrors[field] = message;
+            } else if (!fieldErrors[field].includes(message)) {
+                fieldErrors[field] = `${fieldErrors[field]} ${message}`;
+            }
+        });
+    });
+
+    return { messages, pageErrors, fieldErrors };
+}
+
+// Failures worth retrying: lost connections, timeouts, overloaded servers and record lock contention
+const TRANSIENT_STATUS_CODES = [0, 408, 429, 502, 503, 504];
+const TRANSIENT_MESSAGE_PATTERN = /UNABLE_TO_LOCK_ROW|Disconnected or Canceled|timed? ?out|Failed to fetch|NetworkError/i;
+
+/**
+ * Whether an error is likely to go away if the same request is sent again
+ */
+export function isTransientError(error) {
+    if (!error) {
+        return false;
+    }
+    if (Array.isArray(error)) {
+        return error.some(isTransientError);
+    }
+    if (typeof error === 'string') {
+        return TRANSIENT_MESSAGE_PATTERN.test(error);
+    }
+    if (TRANSIENT_STATUS_CODES.includes(error.status)) {
+        return true;
+    }
+    // Raw messages rather than normalized ones, which drop the DML status code
+    const body = Array.isArray(error.body) ? error.body : [error.body];
+    return [error.message, error.statusText, ...body.map(item => item && item.message)]
+        .some(message => message && TRANSIENT_MESSAGE_PATTERN.test(message));
+}
+
+/**
+ * One readable message for toasts and error banners
+ */
+export function getErrorMessage(errors) {
+    const { messages } = normalizeErrors(errors);
+    return messages.length ? messages.join('; ') : UNKNOWN_ERROR;
+}
@@ -0,0 +1,98 @@
+import { createElement } from '@lwc/engine-dom';
+import FamilyAuditTimeline from 'c/familyAuditTimeline';
+import getAuditTimeline from '@salesforce/apex/FamilyAuditService.getAuditTimeline';
+
+jest.mock(
+    '@salesforce/apex/FamilyAuditService.getAuditTimeline',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+const EVENTS = [
+    {
+        id: 'a0A000000000002AAA',
+        eventType: 'Background Check',
+        fieldLabel: 'Background Check Status',
+        oldValue: 'Pending',
+        newValue: 'Cleared',
+        occurredAt: '2026-02-10T16:00:00.000Z',
+        contactId: '003000000000001AAA',
+        contactName: 'Dana Reyes',
+        actorName: 'Casey Supervisor'
+    },
+    {
+        id: 'a0A000000000001AAA',
+        eventType: 'Caseworker Assignment',
+        fieldLabel: 'Primary Caseworker',
+        oldValue: null,
+        newValue: 'Alex Moreno',
+        occurredAt: '2026-01-05T16:00:00.000Z',
+        actorName: 'Automated Process'
+    }
+];
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
+
+describe('c-family-audit-timeline', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('shows each change with actor and old and new values, and filters by event type', async () => {
+        const element = createElement('c-family-audit-timeline', { is: FamilyAuditTimeline });
+        element.accountId = '001000000000001AAA';
+        document.body.appendChild(element);
+
+        getAuditTimeline.emit(EVENTS);
+        await flushPromises();
+
+        let items = element.shadowRoot.querySelectorAll('.slds-timeline li');
+        expect(items.length).toBe(2);
+        expect(items[0].textContent).toContain('Pending');
+        expect(items[0].textContent).toContain('Cleared');
+        expect(items[0].textContent).toContain('Changed by Casey Supervisor');
+        expect(items[1].textContent).toContain('None');
+
+        const eventType = [...element.shadowRoot.querySelectorAll('lightning-combobox')].find(
+            (combobox) => combobox.label === 'Event Type'
+        );
+        eventType.dispatchEvent(new CustomEvent('change', { detail: { value: 'Caseworker Assignment' } }));
+        await flushPromises();
+
+        items = element.shadowRoot.querySelectorAll('.slds-timeline li');
+        expect(items.length).toBe(1);
+        expect(items[0].textContent).toContain('Alex Moreno');
+    });
+
+    it('filters to changes on the family account and household', async () => {
+        const element = createElement('c-family-audit-timeline', { is: FamilyAuditTimeline });
+        element.accountId = '001000000000001AAA';
+        document.body.appendChild(element);
+
+        getAuditTimeline.emit(EVENTS);
+        await flushPromises();
+
+        const person = [...element.shadowRoot.querySelectorAll('lightning-combobox')].find(
+            (combobox) => combobox.label === 'Person'
+        );
+        expect(person.options.map((option) => option.label)).toContain('Dana Reyes');
+
+        person.dispatchEvent(new CustomEvent('change', { detail: { value: 'family' } }));
+        await flushPromises();
+
+        const items = element.shadowRoot.querySelectorAll('.slds-timeline li');
+        expect(items.length).toBe(1);
+        expect(items[0].textContent).toContain('Caseworker Assignment');
+    });
+});
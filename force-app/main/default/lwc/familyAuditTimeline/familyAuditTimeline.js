@@ -0,0 +1,142 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import getAuditTimeline from '@salesforce/apex/FamilyAuditService.getAuditTimeline';
+import { getErrorMessage } from 'c/errorUtils';
+
+// Icon shown for each FamilyAuditService event type
+const EVENT_ICONS = {
+    'Caseworker Assignment': 'standard:user',
+    'Background Check': 'standard:investment_account',
+    Training: 'standard:education',
+    'Home Study': 'standard:home',
+    'Home Safety Verification': 'standard:approval'
+};
+
+const FAMILY_FILTER = 'family';
+
+export default class FamilyAuditTimeline extends LightningElement {
+    @api accountId;
+    @track events = [];
+    @track errorMessage = '';
+    @track eventTypeFilter = '';
+    @track personFilter = '';
+    @track fromDate;
+    @track toDate;
+
+    wiredTimelineResult;
+
+    /**
+     * Wire to get the family's audit history
+     */
+    @wire(getAuditTimeline, { accountId: '$accountId' })
+    wiredTimeline(result) {
+        this.wiredTimelineResult = result;
+
+        if (result.data) {
+            this.events = result.data;
+            this.errorMessage = '';
+        } else if (result.error) {
+            this.events = [];
+            this.errorMessage = 'Error loading audit history: ' + getErrorMessage(result.error);
+        }
+    }
+
+    /**
+     * Reload after the parent records a change, e.g. a caseworker assignment
+     */
+    @api
+    refresh() {
+        return refreshApex(this.wiredTimelineResult);
+    }
+
+    get eventTypeOptions() {
+        const types = [...new Set(this.events.map(event => event.eventType))].sort();
+        return [
+            { label: 'All events', value: '' },
+            ...types.map(type => ({ label: type, value: type }))
+        ];
+    }
+
+    get personOptions() {
+        const people = new Map();
+        this.events
+            .filter(event => event.contactId)
+            .forEach(event => people.set(event.contactId, event.contactName));
+
+        return [
+            { label: 'Everyone', value: '' },
+            { label: 'Family account and household', value: FAMILY_FILTER },
+            ...[...people.entries()]
+                .sort((a, b) => a[1].localeCompare(b[1]))
+                .map(([contactId, name]) => ({ label: name, value: contactId }))
+        ];
+    }
+
+    /**
+     * Events after the filters, with display properties
+     */
+    get filteredEvents() {
+        const from = this.fromDate ? new Date(`${this.fromDate}T00:00:00`) : null;
+        const to = this.toDate ? new Date(`${this.toDate}T23:59:59.999`) : null;
+
+        return this.events
+            .filter(event => !this.eventTypeFilter || event.eventType === this.eventTypeFilter)
+            .filter(event => {
+                if (!this.personFilter) {
+                    return true;
+                }
+                return this.personFilter === FAMILY_FILTER ? !event.contactId : event.contactId === this.personFilter;
+            })
+            .filter(event => {
+                const occurredAt = new Date(event.occurredAt);
+                return (!from || occurredAt >= from) && (!to || occurredAt <= to);
+            })
+            .map(event => ({
+                ...event,
+                iconName: EVENT_ICONS[event.eventType] || 'standard:record',
+                subjectLabel: event.contactName ? `${event.eventType} • ${event.contactName}` : event.eventType,
+                oldValueLabel: event.oldValue || 'None',
+                newValueLabel: event.newValue || 'None',
+                actorLabel: event.actorName || 'System'
+            }));
+    }
+
+    get hasEvents() {
+        return this.events.length > 0;
+    }
+
+    get hasFilteredEvents() {
+        return this.filteredEvents.length > 0;
+    }
+
+    get hasFilters() {
+        return Boolean(this.eventTypeFilter || this.personFilter || this.fromDate || this.toDate);
+    }
+
+    handleEventTypeChange(event) {
+        this.eventTypeFilter = event.detail.value;
+    }
+
+    handlePersonChange(event) {
+        this.personFilter = event.detail.value;
+    }
+
+    handleFromDateChange(event) {
+        this.fromDate = event.detail.value;
+    }
+
+    handleToDateChange(event) {
+        this.toDate = event.detail.value;
+    }
+
+    handleClearFilters() {
+        this.eventTypeFilter = '';
+        this.personFilter = '';
+        this.fromDate = null;
+        this.toDate = null;
+    }
+
+    handleRefresh() {
+        this.refresh();
+    }
+}
@@ -1,5 +1,54 @@
 import { createElement } from '@lwc/engine-dom';
 import FamilyMemberManagement from 'c/familyMemberManagement';
+import LightningConfirm from 'lightning/confirm';
+import createFamilyMemberWithDetails from '@salesforce/apex/FamilyMemberController.createFamilyMemberWithDetails';
+import getFamilyMembers from '@salesforce/apex/FamilyMemberController.getFamilyMembers';
+import bulkDeleteFamilyMembers from '@salesforce/apex/FamilyMemberController.bulkDeleteFamilyMembers';
+
+jest.mock(
+    '@salesforce/apex/FamilyMemberController.createFamilyMemberWithDetails',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/FamilyMemberController.getFamilyMembers',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/FamilyMemberController.bulkDeleteFamilyMembers',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+jest.mock('lightning/confirm', () => ({ __esModule: true, default: { open: jest.fn() } }));
+
+const FAMILY_MEMBERS = [
+    { id: '003000000000001AAA', firstName: 'Sam', lastName: 'Reyes', relationship: 'Spouse', backgroundCheckStatus: 'Pending' },
+    { id: '003000000000002AAA', firstName: 'Ana', lastName: 'Reyes', relationship: 'Child', backgroundCheckStatus: 'Pending' }
+];
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
+
+function setFieldValue(element, selector, value) {
+    const input = element.shadowRoot.querySelector(selector);
+    input.value = value;
+    input.dispatchEvent(new CustomEvent('change', { detail: { value } }));
+}
 
 describe('c-family-member-management', () => {
     afterEach(() => {
@@ -7,6 +56,7 @@ describe('c-family-member-management', () => {
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        jest.clearAllMocks();
     });
 
     it('TODO: test case generated by CLI command, please fill in test logic', () => {
@@ -22,4 +72,134 @@ describe('c-family-member-management', () => {
         // const div = element.shadowRoot.querySelector('div');
         expect(1).toBe(1);
     });
-});
\ No newline at end of file
+
+    it('saves employment details entered with a new family member', async () => {
+        createFamilyMemberWithDetails.mockResolvedValue('003000000000001AAA');
+
+        const element = createElement('c-family-member-management', {
+            is: FamilyMemberManagement
+        });
+        document.body.appendChild(element);
+
+        element.shadowRoot.querySelector('lightning-button[data-id="add-member"]').click();
+        await flushPromises();
+
+        setFieldValue(element, 'lightning-input[data-field="firstName"]', 'Sam');
+        setFieldValue(element, 'lightning-input[data-field="lastName"]', 'Reyes');
+        setFieldValue(element, 'lightning-combobox[data-field="relationship"]', 'Spouse');
+        setFieldValue(element, 'lightning-input[data-field="employerName"]', 'Acme Corp');
+        setFieldValue(element, 'lightning-input[data-field="monthlyIncome"]', '4200');
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-button[data-id="save-member"]').click();
+        await flushPromises();
+
+        expect(createFamilyMemberWithDetails).toHaveBeenCalledTimes(1);
+        const { familyMemberJson, employmentJson } = createFamilyMemberWithDetails.mock.calls[0][0];
+        expect(JSON.parse(familyMemberJson).firstName).toBe('Sam');
+        expect(JSON.parse(employmentJson)).toMatchObject({ employerName: 'Acme Corp', monthlyIncome: 4200 });
+    });
+
+    it('opens the edit modal from the actions menu and returns focus to it on Escape', async () => {
+        const element = createElement('c-family-member-management', {
+            is: FamilyMemberManagement
+        });
+        document.body.appendChild(element);
+        getFamilyMembers.emit(FAMILY_MEMBERS);
+        await flushPromises();
+
+        const menu = element.shadowRoot.querySelector(`lightning-button-menu[data-id="${FAMILY_MEMBERS[1].id}"]`);
+        expect(menu.alternativeText).toBe('Actions for Ana Reyes');
+        menu.focus = jest.fn();
+        menu.dispatchEvent(new CustomEvent('select', { detail: { value: 'edit' } }));
+        await flushPromises();
+
+        const dialog = element.shadowRoot.querySelector('section[role="dialog"]');
+        expect(dialog.getAttribute('aria-modal')).toBe('true');
+        expect(dialog.querySelector('h2').textContent).toBe('Edit Family Member');
+        expect(element.shadowRoot.querySelector('lightning-input[data-field="firstName"]').value).toBe('Ana');
+
+        dialog.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', cancelable: true }));
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('section[role="dialog"]')).toBeNull();
+        expect(menu.focus).toHaveBeenCalled();
+    });
+
+    it('shows a validation rule failure against the field it names', async () => {
+        createFamilyMemberWithDetails.mockRejectedValue({
+            body: {
+                message: 'Error creating family member: Insert failed. First exception on row 0; first error: ' +
+                    'FIELD_CUSTOM_VALIDATION_EXCEPTION, Birthdate cannot be in the future: [Birthdate]'
+            }
+        });
+
+        const element = createElement('c-family-member-management', {
+            is: FamilyMemberManagement
+        });
+        document.body.appendChild(element);
+        const toastHandler = jest.fn();
+        element.addEventListener('lightning__showtoast', toastHandler);
+
+        element.shadowRoot.querySelector('lightning-button[data-id="add-member"]').click();
+        await flushPromises();
+
+        setFieldValue(element, 'lightning-input[data-field="firstName"]', 'Sam');
+        setFieldValue(element, 'lightning-input[data-field="lastName"]', 'Reyes');
+        setFieldValue(element, 'lightning-combobox[data-field="relationship"]', 'Spouse');
+        setFieldValue(element, 'lightning-input[data-field="birthdate"]', '2999-01-01');
+        await flushPromises();
+
+        const birthdateInput = element.shadowRoot.querySelector('lightning-input[data-field="birthdate"]');
+        const firstNameInput = element.shadowRoot.querySelector('lightning-input[data-field="firstName"]');
+        birthdateInput.setCustomValidity = jest.fn();
+        firstNameInput.setCustomValidity = jest.fn();
+
+        element.shadowRoot.querySelector('lightning-button[data-id="save-member"]').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(birthdateInput.setCustomValidity).toHaveBeenCalledWith('Birthdate cannot be in the future');
+        expect(firstNameInput.setCustomValidity).toHaveBeenCalledWith('');
+        expect(toastHandler.mock.calls[0][0].detail.message).toBe('Please correct the highlighted fields');
+    });
+
+    it('confirms a bulk delete naming the selected members and reports members that failed', async () => {
+        LightningConfirm.open.mockResolvedValue(true);
+        bulkDeleteFamilyMembers.mockResolvedValue([
+            { recordId: '003000000000001AAA', name: 'Sam Reyes', success: true },
+            { recordId: '003000000000002AAA', name: 'Ana Reyes', success: false, message: 'Member has open placements' }
+        ]);
+
+        const element = createElement('c-family-member-management', {
+            is: FamilyMemberManagement
+        });
+        document.body.appendChild(element);
+
+        getFamilyMembers.emit(FAMILY_MEMBERS);
+        await flushPromises();
+
+        const selectAll = element.shadowRoot.querySelector('lightning-input[data-id="select-all"]');
+        selectAll.dispatchEvent(new CustomEvent('change', { detail: { checked: true } }));
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-button[data-id="bulk-delete"]').click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(LightningConfirm.open).toHaveBeenCalledWith(
+            expect.objectContaining({
+                label: 'Delete 2 Family Members',
+                message: expect.stringContaining('Sam Reyes, Ana Reyes')
+            })
+        );
+        expect(bulkDeleteFamilyMembers).toHaveBeenCalledWith({
+            familyMemberIds: ['003000000000001AAA', '003000000000002AAA']
+        });
+
+        const failures = element.shadowRoot.querySelectorAll('.slds-theme_warning li');
+        expect(failures.length).toBe(1);
+        expect(failures[0].textContent).toContain('Member has open placements');
+        expect(element.shadowRoot.textContent).toContain('1 member selected');
+    });
+});
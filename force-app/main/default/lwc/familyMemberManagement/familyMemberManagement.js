@@ -1,11 +1,35 @@
 import { LightningElement, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import LightningConfirm from 'lightning/confirm';
 import { refreshApex } from '@salesforce/apex';
 import getFamilyMembers from '@salesforce/apex/FamilyMemberController.getFamilyMembers';
-import createFamilyMember from '@salesforce/apex/FamilyMemberController.createFamilyMember';
-import updateFamilyMember from '@salesforce/apex/FamilyMemberController.updateFamilyMember';
+import createFamilyMemberWithDetails from '@salesforce/apex/FamilyMemberController.createFamilyMemberWithDetails';
+import updateFamilyMemberWithDetails from '@salesforce/apex/FamilyMemberController.updateFamilyMemberWithDetails';
 import deleteFamilyMember from '@salesforce/apex/FamilyMemberController.deleteFamilyMember';
 import getPrimaryContactInfo from '@salesforce/apex/FamilyMemberController.getPrimaryContactInfo';
+import bulkDeleteFamilyMembers from '@salesforce/apex/FamilyMemberController.bulkDeleteFamilyMembers';
+import bulkUpdateFamilyMemberStatus from '@salesforce/apex/FamilyMemberController.bulkUpdateFamilyMemberStatus';
+import { createLogger } from 'c/logger';
+import { getErrorMessage, normalizeErrors } from 'c/errorUtils';
+import { focusDialog, focusElement, handleDialogKeyDown } from 'c/a11yUtils';
+
+const logger = createLogger('familyMemberManagement');
+
+// Contact and Employment_Details__c fields saved by FamilyMemberController, keyed to the modal input's data-field
+const MODAL_FIELDS = {
+    FirstName: 'firstName',
+    LastName: 'lastName',
+    Email: 'email',
+    Phone: 'phone',
+    MobilePhone: 'mobilePhone',
+    Birthdate: 'birthdate',
+    Relationship_to_Primary__c: 'relationship',
+    Employer_Name__c: 'employerName',
+    Job_Title__c: 'jobTitle',
+    Employment_Status__c: 'employmentStatus',
+    Start_Date__c: 'startDate',
+    Monthly_Income__c: 'monthlyIncome'
+};
 
 export default class FamilyMemberManagement extends LightningElement {
     @track familyMembers = [];
@@ -14,11 +38,18 @@ export default class FamilyMemberManagement extends LightningElement {
     @track isLoading = false;
     @track isSaving = false;
     @track errorMessage = '';
+    @track modalFieldErrors = {};
     @track currentMember = this.getEmptyMember();
+    @track currentEmployment = this.getEmptyEmployment();
     @track isEditMode = false;
+    @track selectedMemberIds = [];
+    @track bulkFailures = [];
+    @track isBulkProcessing = false;
     
     wiredFamilyMembersResult;
     wiredPrimaryContactResult;
+    pendingFocus; // Run after the next render until it finds its element
+    returnFocusSelector; // Button that opened the modal, focused again when it closes
 
     // Relationship picklist options
     relationshipOptions = [
@@ -31,6 +62,24 @@ export default class FamilyMemberManagement extends LightningElement {
         { label: 'Other', value: 'Other' }
     ];
 
+    employmentStatusOptions = [
+        { label: 'Full Time', value: 'Full Time' },
+        { label: 'Part Time', value: 'Part Time' },
+        { label: 'Self Employed', value: 'Self Employed' },
+        { label: 'Contract', value: 'Contract' },
+        { label: 'Unemployed', value: 'Unemployed' },
+        { label: 'Retired', value: 'Retired' }
+    ];
+
+    /**
+     * Move focus into the member modal when it opens and back to the button that opened it
+     */
+    renderedCallback() {
+        if (this.pendingFocus && this.pendingFocus()) {
+            this.pendingFocus = undefined;
+        }
+    }
+
     /**
      * Wire to get primary contact info
      */
@@ -40,6 +89,7 @@ export default class FamilyMemberManagement extends LightningElement {
         if (result.data) {
             this.primaryContactInfo = result.data;
         } else if (result.error) {
+            logger.error('wiredPrimaryContact', result.error);
             this.showToast('Error', 'Error loading primary contact information', 'error');
         }
     }
@@ -54,10 +104,12 @@ export default class FamilyMemberManagement extends LightningElement {
         
         if (result.data) {
             this.familyMembers = result.data;
+            this.selectedMemberIds = this.selectedMemberIds.filter(id => result.data.some(member => member.id === id));
             this.isLoading = false;
             this.errorMessage = '';
         } else if (result.error) {
-            this.errorMessage = 'Error loading family members: ' + this.getErrorMessage(result.error);
+            logger.error('wiredFamilyMembers', result.error);
+            this.errorMessage = 'Error loading family members: ' + getErrorMessage(result.error);
             this.isLoading = false;
         }
     }
@@ -69,6 +121,42 @@ export default class FamilyMemberManagement extends LightningElement {
         return this.familyMembers && this.familyMembers.length > 0;
     }
 
+    /**
+     * Family members with their selection state
+     */
+    get memberRows() {
+        return this.familyMembers.map(member => ({
+            ...member,
+            isSelected: this.selectedMemberIds.includes(member.id),
+            selectLabel: `Select ${member.firstName} ${member.lastName}`,
+            actionsLabel: `Actions for ${member.firstName} ${member.lastName}`
+        }));
+    }
+
+    get selectedCount() {
+        return this.selectedMemberIds.length;
+    }
+
+    get hasSelection() {
+        return this.selectedCount > 0;
+    }
+
+    get isBulkActionDisabled() {
+        return !this.hasSelection || this.isBulkProcessing;
+    }
+
+    get allSelected() {
+        return this.hasFamilyMembers && this.selectedCount === this.familyMembers.length;
+    }
+
+    get selectionLabel() {
+        return this.selectedCount === 1 ? '1 member selected' : `${this.selectedCount} members selected`;
+    }
+
+    get hasBulkFailures() {
+        return this.bulkFailures.length > 0;
+    }
+
     /**
      * Get modal title based on mode
      */
@@ -76,36 +164,73 @@ export default class FamilyMemberManagement extends LightningElement {
         return this.isEditMode ? 'Edit Family Member' : 'Add Family Member';
     }
 
+    /**
+     * Check if any employment details have been entered in the modal
+     */
+    get hasEmploymentDetails() {
+        const { employerName, jobTitle, employmentStatus, startDate, monthlyIncome } = this.currentEmployment;
+        return [employerName, jobTitle, employmentStatus, startDate, monthlyIncome]
+            .some(value => value !== null && value !== undefined && value !== '');
+    }
+
     /**
      * Handle add member button click
      */
     handleAddMember() {
         this.isEditMode = false;
         this.currentMember = this.getEmptyMember();
-        this.showModal = true;
+        this.currentEmployment = this.getEmptyEmployment();
+        this.openModal('[data-id="add-member"]');
     }
 
     /**
-     * Handle edit member button click
+     * Handle a member's actions menu
      */
-    handleEditMember(event) {
+    handleMemberAction(event) {
         const memberId = event.currentTarget.dataset.id;
+
+        if (event.detail.value === 'edit') {
+            this.editMember(memberId);
+        } else if (event.detail.value === 'delete') {
+            this.deleteMember(memberId);
+        }
+    }
+
+    /**
+     * Open the edit modal for a member
+     */
+    editMember(memberId) {
         const member = this.familyMembers.find(m => m.id === memberId);
         
         if (member) {
             this.isEditMode = true;
             this.currentMember = { ...member };
-            this.showModal = true;
+            this.currentEmployment = {
+                id: member.employmentId || null,
+                employerName: member.currentEmployer || '',
+                jobTitle: member.currentJobTitle || '',
+                employmentStatus: member.employmentStatus || '',
+                startDate: member.employmentStartDate || null,
+                monthlyIncome: member.monthlyIncome ?? null
+            };
+            this.openModal(`lightning-button-menu[data-id="${memberId}"]`);
         }
     }
 
     /**
-     * Handle delete member button click
+     * Delete a member after confirmation
      */
-    async handleDeleteMember(event) {
-        const memberId = event.currentTarget.dataset.id;
-        
-        if (confirm('Are you sure you want to delete this family member?')) {
+    async deleteMember(memberId) {
+        const member = this.familyMembers.find(m => m.id === memberId);
+        const memberName = member ? `${member.firstName} ${member.lastName}` : 'this family member';
+
+        const confirmed = await LightningConfirm.open({
+            message: `${memberName} will be removed from your family. This cannot be undone.`,
+            label: 'Delete Family Member',
+            theme: 'warning'
+        });
+
+        if (confirmed) {
             this.isLoading = true;
             
             try {
@@ -117,19 +242,143 @@ export default class FamilyMemberManagement extends LightningElement {
                 await refreshApex(this.wiredFamilyMembersResult);
                 
             } catch (error) {
-                this.showToast('Error', this.getErrorMessage(error), 'error');
+                logger.error('handleDeleteMember', error, { memberId });
+                this.showToast('Error', getErrorMessage(error), 'error');
             } finally {
                 this.isLoading = false;
             }
         }
     }
 
+    /**
+     * Handle a member's selection checkbox
+     */
+    handleMemberSelect(event) {
+        const memberId = event.currentTarget.dataset.id;
+
+        this.selectedMemberIds = event.detail.checked ?
+            [...this.selectedMemberIds, memberId] :
+            this.selectedMemberIds.filter(id => id !== memberId);
+    }
+
+    /**
+     * Handle the select all checkbox
+     */
+    handleSelectAll(event) {
+        this.selectedMemberIds = event.detail.checked ? this.familyMembers.map(member => member.id) : [];
+    }
+
+    /**
+     * Delete every selected member after confirmation
+     */
+    async handleBulkDelete() {
+        const confirmed = await LightningConfirm.open({
+            message: `${this.describeSelection()} will be removed from your family. This cannot be undone.`,
+            label: this.selectedCount === 1 ? 'Delete 1 Family Member' : `Delete ${this.selectedCount} Family Members`,
+            theme: 'warning'
+        });
+
+        if (confirmed) {
+            await this.runBulkAction(
+                () => bulkDeleteFamilyMembers({ familyMemberIds: this.selectedMemberIds }),
+                'deleted'
+            );
+        }
+    }
+
+    /**
+     * Mark training or home study complete for every selected member after confirmation
+     */
+    async handleBulkStatus(event) {
+        const statusField = event.currentTarget.dataset.status;
+        const statusLabel = statusField === 'trainingCompleted' ? 'training' : 'home study';
+
+        const confirmed = await LightningConfirm.open({
+            message: `Mark ${statusLabel} as complete for ${this.describeSelection()}?`,
+            label: `Mark ${statusLabel} complete`,
+            theme: 'info'
+        });
+
+        if (confirmed) {
+            await this.runBulkAction(
+                () => bulkUpdateFamilyMemberStatus({
+                    familyMemberIds: this.selectedMemberIds,
+                    statusField,
+                    value: true
+                }),
+                'updated'
+            );
+        }
+    }
+
+    /**
+     * Run a bulk server call and report each member that failed
+     * Members that failed stay selected so the action can be retried
+     */
+    async runBulkAction(action, verb) {
+        this.isBulkProcessing = true;
+        this.bulkFailures = [];
+
+        try {
+            const results = await action();
+            const failures = results.filter(result => !result.success);
+            const succeededCount = results.length - failures.length;
+
+            this.bulkFailures = failures.map(result => {
+                const member = this.familyMembers.find(m => m.id === result.recordId);
+                return {
+                    ...result,
+                    name: result.name || (member ? `${member.firstName} ${member.lastName}` : result.recordId)
+                };
+            });
+            this.selectedMemberIds = failures.map(result => result.recordId);
+
+            if (failures.length === 0) {
+                this.showToast('Success', `${succeededCount} family ${succeededCount === 1 ? 'member' : 'members'} ${verb}`, 'success');
+            } else {
+                this.showToast(
+                    succeededCount > 0 ? 'Partially completed' : 'Error',
+                    `${succeededCount} ${verb}, ${failures.length} failed`,
+                    succeededCount > 0 ? 'warning' : 'error'
+                );
+            }
+
+            if (succeededCount > 0) {
+                await refreshApex(this.wiredFamilyMembersResult);
+            }
+        } catch (error) {
+            logger.error('runBulkAction', error, { verb });
+            this.showToast('Error', getErrorMessage(error), 'error');
+        } finally {
+            this.isBulkProcessing = false;
+        }
+    }
+
+    /**
+     * Names of the selected members for confirmation messages
+     */
+    describeSelection() {
+        const names = this.familyMembers
+            .filter(member => this.selectedMemberIds.includes(member.id))
+            .map(member => `${member.firstName} ${member.lastName}`);
+
+        if (names.length <= 3) {
+            return names.join(', ');
+        }
+        return `${names.slice(0, 3).join(', ')} and ${names.length - 3} more`;
+    }
+
+    handleDismissBulkFailures() {
+        this.bulkFailures = [];
+    }
+
     /**
      * Handle field changes in modal
      */
     handleFieldChange(event) {
         const field = event.currentTarget.dataset.field;
         const value = event.detail.value || event.target.value;
+        this.clearModalFieldError(event.currentTarget);
         
         this.currentMember = {
             ...this.currentMember,
@@ -137,6 +386,19 @@ export default class FamilyMemberManagement extends LightningElement {
         };
     }
 
+    /**
+     * Handle employment field changes in modal
+     */
+    handleEmploymentFieldChange(event) {
+        const field = event.currentTarget.dataset.field;
+        this.clearModalFieldError(event.currentTarget);
+
+        this.currentEmployment = {
+            ...this.currentEmployment,
+            [field]: event.detail.value
+        };
+    }
+
     /**
      * Handle save member
      */
@@ -147,20 +409,30 @@ export default class FamilyMemberManagement extends LightningElement {
             return;
         }
 
+        if (this.hasEmploymentDetails && !this.currentEmployment.employerName) {
+            this.showToast('Error', 'Please enter the employer name or clear the employment details', 'error');
+            return;
+        }
+
         this.isSaving = true;
 
         try {
+            const familyMemberJson = JSON.stringify(this.currentMember);
+            const employmentJson = this.hasEmploymentDetails ?
+                JSON.stringify({
+                    ...this.currentEmployment,
+                    monthlyIncome: this.currentEmployment.monthlyIncome === '' || this.currentEmployment.monthlyIncome === null ?
+                        null : Number(this.currentEmployment.monthlyIncome)
+                }) :
+                null;
+
             if (this.isEditMode) {
                 // Update existing member
-                await updateFamilyMember({ 
-                    familyMemberJson: JSON.stringify(this.currentMember) 
-                });
+                await updateFamilyMemberWithDetails({ familyMemberJson, employmentJson });
                 this.showToast('Success', 'Family member updated successfully', 'success');
             } else {
                 // Create new member
-                await createFamilyMember({ 
-                    familyMemberJson: JSON.stringify(this.currentMember) 
-                });
+                await createFamilyMemberWithDetails({ familyMemberJson, employmentJson });
                 this.showToast('Success', 'Family member added successfully', 'success');
             }
 
@@ -171,18 +443,89 @@ export default class FamilyMemberManagement extends LightningElement {
             this.handleCloseModal();
 
         } catch (error) {
-            this.showToast('Error', this.getErrorMessage(error), 'error');
+            logger.error('handleSaveMember', error, { memberId: this.currentMember.id });
+            this.applyModalErrors(error);
         } finally {
             this.isSaving = false;
         }
     }
 
+    /**
+     * Show save errors against the modal inputs they belong to, such as a validation rule
+     * on Birthdate; errors that name no input are shown in the toast
+     */
+    applyModalErrors(error) {
+        const { pageErrors, fieldErrors } = normalizeErrors(error);
+        const modalFieldErrors = {};
+        const otherMessages = [...pageErrors];
+
+        Object.keys(fieldErrors).forEach(field => {
+            if (MODAL_FIELDS[field]) {
+                modalFieldErrors[MODAL_FIELDS[field]] = fieldErrors[field];
+            } else if (!otherMessages.includes(fieldErrors[field])) {
+                otherMessages.push(fieldErrors[field]);
+            }
+        });
+
+        this.modalFieldErrors = modalFieldErrors;
+        this.template.querySelectorAll('[data-field]').forEach(input => {
+            input.setCustomValidity(modalFieldErrors[input.dataset.field] || '');
+            input.reportValidity();
+        });
+
+        if (Object.keys(modalFieldErrors).length === 0) {
+            this.showToast('Error', getErrorMessage(error), 'error');
+        } else {
+            this.showToast(
+                'Error',
+                otherMessages.length ? otherMessages.join('; ') : 'Please correct the highlighted fields',
+                'error'
+            );
+        }
+    }
+
+    /**
+     * Clear a server error from an input once its value is changed
+     */
+    clearModalFieldError(input) {
+        const field = input.dataset.field;
+        if (this.modalFieldErrors[field]) {
+            const remaining = { ...this.modalFieldErrors };
+            delete remaining[field];
+            this.modalFieldErrors = remaining;
+            input.setCustomValidity('');
+            input.reportValidity();
+        }
+    }
+
+    /**
+     * Show the add/edit modal, remembering which button to return focus to
+     */
+    openModal(returnFocusSelector) {
+        this.returnFocusSelector = returnFocusSelector;
+        this.showModal = true;
+        this.pendingFocus = () => focusDialog(this.template);
+    }
+
+    /**
+     * Keep keyboard focus inside the modal; Escape closes it
+     */
+    handleModalKeyDown(event) {
+        handleDialogKeyDown(event, this.template, () => this.handleCloseModal());
+    }
+
     /**
      * Handle close modal
      */
     handleCloseModal() {
+        const returnFocusSelector = this.returnFocusSelector;
+        this.pendingFocus = () => focusElement(
+            this.template.querySelector(returnFocusSelector) || this.template.querySelector('[data-id="add-member"]')
+        );
         this.showModal = false;
+        this.modalFieldErrors = {};
         this.currentMember = this.getEmptyMember();
+        this.currentEmployment = this.getEmptyEmployment();
         this.isEditMode = false;
     }
 
@@ -206,7 +549,21 @@ export default class FamilyMemberManagement extends LightningElement {
     }
 
     /**
-     * Show toast message
+     * Get empty employment object
+     */
+    getEmptyEmployment() {
+        return {
+            id: null,
+            employerName: '',
+            jobTitle: '',
+            employmentStatus: '',
+            startDate: null,
+            monthlyIncome: null
+        };
+    }
+
+    /**
+     * Show toast message, also read out by screen readers
      */
     showToast(title, message, variant) {
         this.dispatchEvent(
@@ -216,19 +573,9 @@ export default class FamilyMemberManagement extends LightningElement {
                 variant: variant
             })
         );
-    }
-
-    /**
-     * Extract error message from error object
-     */
-    getErrorMessage(error) {
-        if (error.body && error.body.message) {
-            return error.body.message;
-        } else if (error.message) {
-            return error.message;
-        } else if (typeof error === 'string') {
-            return error;
-        }
-        return 'An unknown error occurred';
+        this.template.querySelector('c-live-announcer')?.announce(
+            `${title}: ${message}`,
+            variant === 'error' ? 'assertive' : 'polite'
+        );
     }
 }
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { getDocumentSlots, validateDocuments, validateFile } from '../documentRules';
+
+// Custom labels resolve to their names under Jest; give the ones checked here their English text
+jest.mock('@salesforce/label/c.FosterApp_InvalidFileType', () => ({ default: 'Upload a PDF, JPG or PNG file' }), { virtual: true });
+jest.mock('@salesforce/label/c.FosterApp_FileTooLarge', () => ({ default: 'Files must be {0} MB or smaller' }), { virtual: true });
+jest.mock('@salesforce/label/c.FosterApp_ProofOfIncome', () => ({ default: 'Proof of Income' }), { virtual: true });
+jest.mock('@salesforce/label/c.FosterApp_UploadThisDocument', () => ({ default: 'Upload this document' }), { virtual: true });
+
+const fosterParentApplication = (overrides = {}) => ({
+    primaryApplicant: { applicationType: 'Foster Parent' },
+    familyMembers: [],
+    documents: [],
+    ...overrides
+});
+
+describe('fosterApplicationForm document rules', () => {
+    it('accepts PDF and image files up to the size limit', () => {
+        expect(validateFile({ name: 'paystub.PDF', size: 1024 })).toBeNull();
+        expect(validateFile({ name: 'notes.docx', size: 1024 })).toBe('Upload a PDF, JPG or PNG file');
+        expect(validateFile({ name: 'scan.png', size: 3 * 1024 * 1024 })).toBe('Files must be 2 MB or smaller');
+    });
+
+    it('requires different documents per application type', () => {
+        const caseworkerSlots = getDocumentSlots({ primaryApplicant: { applicationType: 'Caseworker' }, documents: [] });
+        expect(caseworkerSlots.filter((slot) => slot.required).map((slot) => slot.documentType)).toEqual([
+            'photoId',
+            'professionalLicense'
+        ]);
+
+        const errors = validateDocuments(
+            fosterParentApplication({
+                documents: [{ contentDocumentId: '069A', documentType: 'photoId', memberKey: null }]
+            })
+        );
+        expect(errors.map((error) => error.path)).toEqual(['documents.proofOfIncome']);
+    });
+
+    it('asks employed family members for proof of income', () => {
+        const application = fosterParentApplication({
+            familyMembers: [
+                { tempId: 1, firstName: 'Sam', lastName: 'Reyes', employerName: 'Acme Corp' },
+                { tempId: 2, firstName: 'Alex', lastName: 'Reyes' }
+            ],
+            documents: [
+                { contentDocumentId: '069A', documentType: 'photoId', memberKey: null },
+                { contentDocumentId: '069B', documentType: 'proofOfIncome', memberKey: null }
+            ]
+        });
+
+        expect(validateDocuments(application)).toEqual([
+            { path: 'memberDocuments[0].proofOfIncome', label: 'Sam Reyes - Proof of Income', message: 'Upload this document' }
+        ]);
+    });
+});
@@ -1,12 +1,126 @@
 import { createElement } from '@lwc/engine-dom';
 import FosterApplicationForm from 'c/fosterApplicationForm';
+import saveDraft from '@salesforce/apex/GuestApplicationController.saveDraft';
+import submitApplication from '@salesforce/apex/GuestApplicationController.submitApplication';
+import removeDocument from '@salesforce/apex/GuestApplicationController.removeDocument';
+import NEXT_LABEL from '@salesforce/label/c.FosterApp_Next';
+import SAVE_FOR_LATER_LABEL from '@salesforce/label/c.FosterApp_SaveForLater';
+import SUBMIT_APPLICATION_LABEL from '@salesforce/label/c.FosterApp_SubmitApplication';
+import POSSIBLE_DUPLICATE_LABEL from '@salesforce/label/c.FosterApp_PossibleDuplicate';
+import DOCUMENTS_LABEL from '@salesforce/label/c.FosterApp_Documents';
+import ADD_TO_FAMILY_LABEL from '@salesforce/label/c.FosterApp_AddToFamily';
+import FINISH_CURRENT_MEMBER_LABEL from '@salesforce/label/c.FosterApp_FinishCurrentMember';
+
+// Custom labels resolve to their names under Jest; give the ones with placeholders their English text
+jest.mock('@salesforce/label/c.FosterApp_StepAnnouncement', () => ({ default: 'Step {0} of {1}: {2}' }), { virtual: true });
+jest.mock('@salesforce/label/c.FosterApp_ReferenceNumber', () => ({ default: 'Your reference number is {0}.' }), { virtual: true });
+jest.mock('@salesforce/label/c.FosterApp_StatusTrackingHint', () => ({ default: 'Check your status with code {0}.' }), { virtual: true });
+
+jest.mock(
+    '@salesforce/apex/GuestApplicationController.saveDraft',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/GuestApplicationController.submitApplication',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/GuestApplicationController.removeDocument',
+    () => {
+        return {
+            default: jest.fn()
+        };
+    },
+    { virtual: true }
+);
+
+const DRAFT_STORAGE_KEY = 'fosterApplicationForm.draft';
+const PENDING_SUBMISSION_KEY = 'fosterApplicationForm.pendingSubmission';
+const SESSION_STORAGE_KEY = 'fosterApplicationForm.sessionKey';
+
+// A caseworker application on the review step with nothing left to fix
+const REVIEW_DRAFT = {
+    currentStep: 'review',
+    resumeCode: 'ABCD2345EFGH',
+    primaryApplicant: {
+        applicationType: 'Caseworker',
+        firstName: 'Sam',
+        lastName: 'Lee',
+        email: 'sam@example.com',
+        phone: '5555550100'
+    },
+    documents: [
+        { contentDocumentId: '069000000000001AAA', documentType: 'photoId', memberKey: null, fileName: 'id.pdf' },
+        { contentDocumentId: '069000000000002AAA', documentType: 'professionalLicense', memberKey: null, fileName: 'license.pdf' }
+    ]
+};
+
+// A foster parent application on the review step with one family member
+const FOSTER_PARENT_REVIEW_DRAFT = {
+    currentStep: 'review',
+    resumeCode: 'ABCD2345EFGH',
+    primaryApplicant: {
+        applicationType: 'Foster Parent',
+        firstName: 'Maria',
+        lastName: 'Reyes',
+        email: 'maria@example.com',
+        phone: '5555550100'
+    },
+    familyMembers: [{ tempId: 1, firstName: 'Ana', lastName: 'Reyes', relationship: 'Spouse', birthdate: '1990-01-01' }],
+    householdInfo: { homeType: 'Own', bedrooms: 3 },
+    documents: [
+        { contentDocumentId: '069000000000001AAA', documentType: 'photoId', memberKey: null, fileName: 'id.pdf' },
+        { contentDocumentId: '069000000000002AAA', documentType: 'proofOfIncome', memberKey: null, fileName: 'paystub.pdf' }
+    ]
+};
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
+
+async function clickButton(element, label) {
+    Array.from(element.shadowRoot.querySelectorAll('lightning-button'))
+        .find((button) => button.label === label)
+        .click();
+    await flushPromises();
+    await flushPromises();
+}
+
+async function changeMemberField(element, field, value) {
+    const input = element.shadowRoot.querySelector(`[data-path="currentMember.${field}"]`);
+    input.value = value;
+    input.dispatchEvent(new CustomEvent('change'));
+    await flushPromises();
+}
 
 describe('c-foster-application-form', () => {
+    beforeAll(() => {
+        // jsdom does not implement scrolling
+        window.scrollTo = jest.fn();
+    });
+
     afterEach(() => {
         // The jsdom instance is shared across test cases in a single file so reset the DOM
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        window.localStorage.clear();
+        window.sessionStorage.clear();
+        jest.clearAllMocks();
+        jest.useRealTimers();
     });
 
     it('TODO: test case generated by CLI command, please fill in test logic', () => {
@@ -22,4 +136,427 @@ describe('c-foster-application-form', () => {
         // const div = element.shadowRoot.querySelector('div');
         expect(1).toBe(1);
     });
-});
\ No newline at end of file
+
+    it('restores a draft saved in this browser', () => {
+        window.localStorage.setItem(
+            DRAFT_STORAGE_KEY,
+            JSON.stringify({
+                currentStep: 'applicant',
+                primaryApplicant: { applicationType: 'Foster Parent', firstName: 'Dana' }
+            })
+        );
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        const firstName = element.shadowRoot.querySelector('lightning-input[data-field="firstName"]');
+        expect(firstName.value).toBe('Dana');
+    });
+
+    it('shows the resume code after saving for later', async () => {
+        saveDraft.mockResolvedValue('ABCD2345EFGH');
+        window.localStorage.setItem(
+            DRAFT_STORAGE_KEY,
+            JSON.stringify({
+                currentStep: 'applicant',
+                primaryApplicant: { applicationType: 'Foster Parent', email: 'dana@example.com' }
+            })
+        );
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        const saveButton = Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find(
+            (button) => button.label === SAVE_FOR_LATER_LABEL
+        );
+        saveButton.click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(saveDraft).toHaveBeenCalledTimes(1);
+        expect(saveDraft.mock.calls[0][0].sessionKey).toBe(window.sessionStorage.getItem(SESSION_STORAGE_KEY));
+        expect(element.shadowRoot.textContent).toContain('ABCD2345EFGH');
+        expect(JSON.parse(window.localStorage.getItem(DRAFT_STORAGE_KEY)).resumeCode).toBe('ABCD2345EFGH');
+    });
+
+    it('skips the family and household steps for caseworker applicants', async () => {
+        window.localStorage.setItem(
+            DRAFT_STORAGE_KEY,
+            JSON.stringify({
+                currentStep: 'applicant',
+                primaryApplicant: {
+                    applicationType: 'Caseworker',
+                    firstName: 'Sam',
+                    lastName: 'Lee',
+                    email: 'sam@example.com',
+                    phone: '5555550100'
+                }
+            })
+        );
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        const steps = element.shadowRoot.querySelectorAll('lightning-progress-step');
+        expect(Array.from(steps).map((step) => step.value)).toEqual(['applicant', 'documents', 'review']);
+
+        const nextButton = Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find(
+            (button) => button.label === NEXT_LABEL
+        );
+        nextButton.click();
+        await flushPromises();
+
+        const indicator = element.shadowRoot.querySelector('lightning-progress-indicator');
+        expect(indicator.currentStep).toBe('documents');
+    });
+
+    it('moves focus to the new step heading and announces the step', async () => {
+        window.localStorage.setItem(
+            DRAFT_STORAGE_KEY,
+            JSON.stringify({
+                currentStep: 'applicant',
+                primaryApplicant: {
+                    applicationType: 'Caseworker',
+                    firstName: 'Sam',
+                    lastName: 'Lee',
+                    email: 'sam@example.com',
+                    phone: '5555550100'
+                }
+            })
+        );
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        const nextButton = Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find(
+            (button) => button.label === NEXT_LABEL
+        );
+        nextButton.click();
+        await flushPromises();
+
+        const heading = element.shadowRoot.querySelector('[data-id="page-heading"]');
+        expect(element.shadowRoot.activeElement).toBe(heading);
+
+        // The announcer empties its region briefly so repeated messages are read again
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        await new Promise((resolve) => setTimeout(resolve, 150));
+        const announcer = element.shadowRoot.querySelector('c-live-announcer');
+        expect(announcer.shadowRoot.querySelector('[data-id="polite"]').textContent).toBe(`Step 2 of 3: ${DOCUMENTS_LABEL}`);
+    });
+
+    it('returns to the step of a field rejected by the server', async () => {
+        submitApplication.mockResolvedValue({
+            success: false,
+            errors: [{ path: 'primaryApplicant.email', message: 'Enter a valid email address' }]
+        });
+        window.localStorage.setItem(
+            DRAFT_STORAGE_KEY,
+            JSON.stringify({
+                currentStep: 'review',
+                resumeCode: 'ABCD2345EFGH',
+                primaryApplicant: {
+                    applicationType: 'Caseworker',
+                    firstName: 'Sam',
+                    lastName: 'Lee',
+                    email: 'sam@example.com',
+                    phone: '5555550100'
+                },
+                documents: [
+                    { contentDocumentId: '069000000000001AAA', documentType: 'photoId', memberKey: null, fileName: 'id.pdf' },
+                    { contentDocumentId: '069000000000002AAA', documentType: 'professionalLicense', memberKey: null, fileName: 'license.pdf' }
+                ]
+            })
+        );
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        const submitButton = Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find(
+            (button) => button.label === SUBMIT_APPLICATION_LABEL
+        );
+        submitButton.click();
+        await flushPromises();
+        await flushPromises();
+
+        const indicator = element.shadowRoot.querySelector('lightning-progress-indicator');
+        expect(indicator.currentStep).toBe('applicant');
+        expect(element.shadowRoot.querySelector('[role="alert"]')).toBeNull();
+    });
+
+    it('tells a possible repeat applicant that we may already have their application', async () => {
+        submitApplication.mockResolvedValue({ success: true, leadId: '00Q000000000001AAA', possibleDuplicate: true, errors: [] });
+        window.localStorage.setItem(
+            DRAFT_STORAGE_KEY,
+            JSON.stringify({
+                currentStep: 'review',
+                resumeCode: 'ABCD2345EFGH',
+                primaryApplicant: {
+                    applicationType: 'Caseworker',
+                    firstName: 'Sam',
+                    lastName: 'Lee',
+                    email: 'sam@example.com',
+                    phone: '5555550100'
+                },
+                documents: [
+                    { contentDocumentId: '069000000000001AAA', documentType: 'photoId', memberKey: null, fileName: 'id.pdf' },
+                    { contentDocumentId: '069000000000002AAA', documentType: 'professionalLicense', memberKey: null, fileName: 'license.pdf' }
+                ]
+            })
+        );
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        const submitButton = Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find(
+            (button) => button.label === SUBMIT_APPLICATION_LABEL
+        );
+        submitButton.click();
+        await flushPromises();
+        await flushPromises();
+
+        expect(element.shadowRoot.textContent).toContain(POSSIBLE_DUPLICATE_LABEL);
+        const payload = JSON.parse(submitApplication.mock.calls[0][0].applicationDataJson);
+        expect(payload.primaryApplicant.preferredLanguage).toBe('en_US');
+    });
+
+    it('retries a timed out submission with the same key and shows the reference number', async () => {
+        jest.useFakeTimers();
+        submitApplication
+            .mockRejectedValueOnce({ status: 504, body: { message: 'Gateway Timeout' } })
+            .mockResolvedValue({
+                success: true,
+                leadId: '00Q000000000001AAA',
+                referenceNumber: 'APP-000123',
+                statusCode: 'K7M2P9Q4R8TX',
+                errors: []
+            });
+        window.localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(REVIEW_DRAFT));
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        const submitButton = Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find(
+            (button) => button.label === SUBMIT_APPLICATION_LABEL
+        );
+        submitButton.click();
+        await flushPromises();
+
+        // Kept on this device until the server answers
+        const pending = JSON.parse(window.localStorage.getItem(PENDING_SUBMISSION_KEY));
+        expect(pending.submissionKey).toBeTruthy();
+
+        await jest.advanceTimersByTimeAsync(1000);
+        await flushPromises();
+
+        expect(submitApplication).toHaveBeenCalledTimes(2);
+        const keys = submitApplication.mock.calls.map((call) => JSON.parse(call[0].applicationDataJson).submissionKey);
+        expect(keys).toEqual([pending.submissionKey, pending.submissionKey]);
+        expect(element.shadowRoot.querySelector('[data-id="reference-number"]').textContent).toBe('Your reference number is APP-000123.');
+        expect(element.shadowRoot.querySelector('[data-id="status-code"]').textContent).toContain('K7M2P9Q4R8TX');
+        expect(window.localStorage.getItem(PENDING_SUBMISSION_KEY)).toBeNull();
+    });
+
+    it('sends the honeypot field, the session key and how long the application took', async () => {
+        submitApplication.mockResolvedValue({ success: true, leadId: '00Q000000000001AAA', referenceNumber: 'APP-000123', errors: [] });
+        // Started ten minutes ago and resumed on this page
+        window.localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ ...REVIEW_DRAFT, startedAt: Date.now() - 600000 }));
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        const honeypot = element.shadowRoot.querySelector('[data-id="honeypot"]');
+        expect(honeypot.closest('[aria-hidden="true"]')).not.toBeNull();
+        expect(honeypot.tabIndex).toBe(-1);
+        honeypot.value = 'https://spam.example.com';
+        honeypot.dispatchEvent(new CustomEvent('input'));
+
+        const submitButton = Array.from(element.shadowRoot.querySelectorAll('lightning-button')).find(
+            (button) => button.label === SUBMIT_APPLICATION_LABEL
+        );
+        submitButton.click();
+        await flushPromises();
+        await flushPromises();
+
+        const payload = JSON.parse(submitApplication.mock.calls[0][0].applicationDataJson);
+        expect(payload.website).toBe('https://spam.example.com');
+        expect(payload.sessionKey).toBe(window.sessionStorage.getItem(SESSION_STORAGE_KEY));
+        expect(payload.fillSeconds).toBeGreaterThanOrEqual(600);
+        // Bots get the same confirmation as everyone else
+        expect(element.shadowRoot.querySelector('[data-id="reference-number"]')).not.toBeNull();
+    });
+
+    it('finds nothing that blocks licensing before the household is described', async () => {
+        window.localStorage.setItem(
+            DRAFT_STORAGE_KEY,
+            JSON.stringify({ currentStep: 'household', primaryApplicant: { applicationType: 'Foster Parent' } })
+        );
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        // Stop findings are shown in the error colour
+        const findings = Array.from(element.shadowRoot.querySelectorAll('[data-id="pre-screen"] [data-finding]'));
+        expect(findings.filter((item) => item.classList.contains('slds-text-color_error'))).toHaveLength(0);
+        expect(element.shadowRoot.querySelector('[data-field="bedrooms"]').value).toBe('');
+    });
+
+    it('pre-screens the household as it is described', async () => {
+        window.localStorage.setItem(
+            DRAFT_STORAGE_KEY,
+            JSON.stringify({
+                currentStep: 'household',
+                primaryApplicant: { applicationType: 'Foster Parent' },
+                familyMembers: [{ tempId: 'member-1', firstName: 'Ana', lastName: 'Reyes', monthlyIncome: '3000' }],
+                householdInfo: { homeType: 'Own', bedrooms: '2' }
+            })
+        );
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        const preScreen = element.shadowRoot.querySelector('[data-id="pre-screen"]');
+        expect(preScreen.querySelectorAll('[data-finding]')).toHaveLength(0);
+
+        const smoking = element.shadowRoot.querySelector('[data-field="smoking"]');
+        smoking.type = 'checkbox';
+        smoking.checked = true;
+        smoking.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        const findings = Array.from(preScreen.querySelectorAll('[data-finding]')).map((item) => item.dataset.finding);
+        expect(findings).toEqual(['smoking']);
+    });
+
+    it('keeps a family member opened from the error summary until it is added back', async () => {
+        submitApplication.mockResolvedValue({ success: true, leadId: '00Q000000000001AAA', referenceNumber: 'APP-000123', errors: [] });
+        window.localStorage.setItem(
+            DRAFT_STORAGE_KEY,
+            JSON.stringify({
+                ...FOSTER_PARENT_REVIEW_DRAFT,
+                familyMembers: [{ ...FOSTER_PARENT_REVIEW_DRAFT.familyMembers[0], birthdate: '2999-01-01' }]
+            })
+        );
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        element.shadowRoot.querySelector('a[data-path="familyMembers[0].birthdate"]').click();
+        await flushPromises();
+        const indicator = element.shadowRoot.querySelector('lightning-progress-indicator');
+        expect(indicator.currentStep).toBe('family');
+        expect(element.shadowRoot.querySelector('[data-path="currentMember.firstName"]').value).toBe('Ana');
+
+        // Leaving the step would drop the member, so it is refused
+        await clickButton(element, NEXT_LABEL);
+        expect(indicator.currentStep).toBe('family');
+        expect(element.shadowRoot.querySelector('[role="alert"]').textContent).toBe(FINISH_CURRENT_MEMBER_LABEL);
+
+        await changeMemberField(element, 'birthdate', '1990-01-01');
+        await clickButton(element, ADD_TO_FAMILY_LABEL);
+        await clickButton(element, NEXT_LABEL);
+        await clickButton(element, NEXT_LABEL);
+        await clickButton(element, NEXT_LABEL);
+        expect(indicator.currentStep).toBe('review');
+        await clickButton(element, SUBMIT_APPLICATION_LABEL);
+
+        const payload = JSON.parse(submitApplication.mock.calls[0][0].applicationDataJson);
+        expect(payload.familyMembers).toHaveLength(1);
+        expect(payload.familyMembers[0]).toMatchObject({ firstName: 'Ana', birthdate: '1990-01-01' });
+    });
+
+    it('resubmits a family member the server rejected once it is corrected', async () => {
+        submitApplication
+            .mockResolvedValueOnce({
+                success: false,
+                errors: [{ path: 'familyMembers[0].birthdate', message: 'Enter a valid date' }]
+            })
+            .mockResolvedValue({ success: true, leadId: '00Q000000000001AAA', referenceNumber: 'APP-000123', errors: [] });
+        window.localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(FOSTER_PARENT_REVIEW_DRAFT));
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        await clickButton(element, SUBMIT_APPLICATION_LABEL);
+        const indicator = element.shadowRoot.querySelector('lightning-progress-indicator');
+        expect(indicator.currentStep).toBe('family');
+        expect(element.shadowRoot.querySelector('[data-path="currentMember.firstName"]').value).toBe('Ana');
+
+        await changeMemberField(element, 'birthdate', '1991-02-03');
+        await clickButton(element, ADD_TO_FAMILY_LABEL);
+        await clickButton(element, NEXT_LABEL);
+        await clickButton(element, NEXT_LABEL);
+        await clickButton(element, NEXT_LABEL);
+        await clickButton(element, SUBMIT_APPLICATION_LABEL);
+
+        expect(submitApplication).toHaveBeenCalledTimes(2);
+        const payload = JSON.parse(submitApplication.mock.calls[1][0].applicationDataJson);
+        expect(payload.familyMembers).toHaveLength(1);
+        expect(payload.familyMembers[0]).toMatchObject({ firstName: 'Ana', birthdate: '1991-02-03' });
+    });
+
+    it('removes applicant documents the new application type does not take', async () => {
+        removeDocument.mockResolvedValue();
+        window.localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({ ...FOSTER_PARENT_REVIEW_DRAFT, currentStep: 'applicant' }));
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+
+        const typeInput = element.shadowRoot.querySelector('lightning-combobox[data-field="applicationType"]');
+        typeInput.value = 'Caseworker';
+        typeInput.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(removeDocument).toHaveBeenCalledTimes(1);
+        expect(removeDocument).toHaveBeenCalledWith({
+            resumeCode: 'ABCD2345EFGH',
+            contentDocumentId: '069000000000002AAA',
+            sessionKey: window.sessionStorage.getItem(SESSION_STORAGE_KEY)
+        });
+        const draft = JSON.parse(window.localStorage.getItem(DRAFT_STORAGE_KEY));
+        expect(draft.documents.map((doc) => doc.documentType)).toEqual(['photoId']);
+    });
+
+    it('finishes a submission left unanswered when the page was closed', async () => {
+        submitApplication.mockResolvedValue({ success: true, leadId: '00Q000000000001AAA', referenceNumber: 'APP-000123', errors: [] });
+        const pending = { primaryApplicant: REVIEW_DRAFT.primaryApplicant, submissionKey: 'c7d1e0a4-3f1b-4b7e-9a52-0d6f2f0c9e11' };
+        window.localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(REVIEW_DRAFT));
+        window.localStorage.setItem(PENDING_SUBMISSION_KEY, JSON.stringify(pending));
+
+        const element = createElement('c-foster-application-form', {
+            is: FosterApplicationForm
+        });
+        document.body.appendChild(element);
+        await flushPromises();
+        await flushPromises();
+
+        expect(submitApplication).toHaveBeenCalledWith({ applicationDataJson: JSON.stringify(pending) });
+        expect(element.shadowRoot.querySelector('[data-id="reference-number"]')).not.toBeNull();
+        expect(window.localStorage.getItem(DRAFT_STORAGE_KEY)).toBeNull();
+    });
+});
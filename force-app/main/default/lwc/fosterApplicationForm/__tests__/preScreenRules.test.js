@@ -0,0 +1,61 @@
+import { evaluatePreScreen, getHouseholdFacts } from '../preScreenRules';
+
+// Custom labels resolve to their names under Jest; give the one with a placeholder its English text
+jest.mock(
+    '@salesforce/label/c.FosterApp_PreScreenBedrooms',
+    () => ({ default: 'Licensing allows at most {0} people per bedroom' }),
+    { virtual: true }
+);
+
+const fosterParentApplication = (overrides = {}) => ({
+    primaryApplicant: { applicationType: 'Foster Parent' },
+    familyMembers: [{ monthlyIncome: '2500' }, { monthlyIncome: '' }],
+    householdInfo: { bedrooms: '3', hasPool: false, hasPets: false, smoking: false },
+    ...overrides
+});
+
+describe('fosterApplicationForm pre-screen rules', () => {
+    it('works out household size, income and people per bedroom from typed values', () => {
+        const facts = getHouseholdFacts(fosterParentApplication());
+
+        expect(facts.householdSize).toBe(3);
+        expect(facts.totalMonthlyIncome).toBe(2500);
+        expect(facts.personsPerBedroom).toBe(1);
+    });
+
+    it('passes a household with room for a child and an income', () => {
+        const preScreen = evaluatePreScreen(fosterParentApplication());
+
+        expect(preScreen.findings).toEqual([]);
+        expect(preScreen.hasStops).toBe(false);
+    });
+
+    it('stops a smoking household and one without a bedroom place for a child', () => {
+        const preScreen = evaluatePreScreen(
+            fosterParentApplication({ householdInfo: { bedrooms: 1, smoking: true } })
+        );
+
+        expect(preScreen.findings.map((finding) => finding.id)).toEqual(['smoking', 'bedrooms']);
+        expect(preScreen.findings[1]).toMatchObject({
+            path: 'householdInfo.bedrooms',
+            message: 'Licensing allows at most 2 people per bedroom'
+        });
+        expect(preScreen.hasStops).toBe(true);
+    });
+
+    it('warns about a pool, pets and no income without stopping the application', () => {
+        const preScreen = evaluatePreScreen(
+            fosterParentApplication({
+                familyMembers: [],
+                householdInfo: { bedrooms: 2, hasPool: true, hasPets: true }
+            })
+        );
+
+        expect(preScreen.findings.map((finding) => finding.id)).toEqual(['income', 'pool', 'pets']);
+        expect(preScreen.hasStops).toBe(false);
+    });
+
+    it('does not pre-screen caseworker applications', () => {
+        expect(evaluatePreScreen({ primaryApplicant: { applicationType: 'Caseworker' } })).toBeNull();
+    });
+});
@@ -0,0 +1,51 @@
+import { createSubmissionKey, retryWithBackoff } from '../submissionRetry';
+
+describe('submissionRetry', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('creates a different UUID for each submission', () => {
+        const first = createSubmissionKey();
+        const second = createSubmissionKey();
+
+        expect(first).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        expect(second).not.toBe(first);
+    });
+
+    it('retries transient failures after each backoff delay', async () => {
+        jest.useFakeTimers();
+        const timeout = { status: 504 };
+        const action = jest.fn()
+            .mockRejectedValueOnce(timeout)
+            .mockRejectedValueOnce(timeout)
+            .mockResolvedValue('done');
+        const onRetry = jest.fn();
+
+        const promise = retryWithBackoff(action, { shouldRetry: error => error.status === 504, onRetry, delays: [100, 200] });
+
+        await jest.advanceTimersByTimeAsync(99);
+        expect(action).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(action).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(200);
+
+        await expect(promise).resolves.toBe('done');
+        expect(action).toHaveBeenCalledTimes(3);
+        expect(onRetry.mock.calls.map(call => call[0])).toEqual([1, 2]);
+    });
+
+    it('gives up on errors that are not transient or once the delays run out', async () => {
+        const validation = { status: 500, body: { message: 'Bad phone' } };
+        const rejected = jest.fn().mockRejectedValue(validation);
+
+        await expect(retryWithBackoff(rejected, { shouldRetry: () => false })).rejects.toBe(validation);
+        expect(rejected).toHaveBeenCalledTimes(1);
+
+        const timeout = { status: 504 };
+        const timingOut = jest.fn().mockRejectedValue(timeout);
+
+        await expect(retryWithBackoff(timingOut, { shouldRetry: () => true, delays: [0, 0] })).rejects.toBe(timeout);
+        expect(timingOut).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,40 @@
+import { APPLICANT_RULES, HOUSEHOLD_RULES, MEMBER_RULES, validateApplication, validateValue } from '../validationRules';
+
+describe('fosterApplicationForm validation rules', () => {
+    it('checks email, phone and postal code formats', () => {
+        expect(validateValue(APPLICANT_RULES.email, 'not-an-email')).not.toBeNull();
+        expect(validateValue(APPLICANT_RULES.email, 'dana@example.com')).toBeNull();
+        expect(validateValue(APPLICANT_RULES.phone, '555-0100')).not.toBeNull();
+        expect(validateValue(APPLICANT_RULES.phone, '(555) 555-0100')).toBeNull();
+        expect(validateValue(APPLICANT_RULES.postalCode, '1234')).not.toBeNull();
+        expect(validateValue(APPLICANT_RULES.postalCode, '12345-6789')).toBeNull();
+    });
+
+    it('rejects future birthdates and negative numbers', () => {
+        expect(validateValue(MEMBER_RULES.birthdate, '2999-01-01')).not.toBeNull();
+        expect(validateValue(MEMBER_RULES.birthdate, '1985-06-15')).toBeNull();
+        expect(validateValue(HOUSEHOLD_RULES.bedrooms, -1)).not.toBeNull();
+        expect(validateValue(HOUSEHOLD_RULES.squareFootage, 1200)).toBeNull();
+    });
+
+    it('requires pet details only when the household has pets', () => {
+        expect(validateValue(HOUSEHOLD_RULES.petDetails, '', { hasPets: true })).not.toBeNull();
+        expect(validateValue(HOUSEHOLD_RULES.petDetails, '', { hasPets: false })).toBeNull();
+    });
+
+    it('reports errors keyed by field path', () => {
+        const errors = validateApplication({
+            primaryApplicant: {
+                applicationType: 'Foster Parent',
+                firstName: 'Dana',
+                lastName: 'Reyes',
+                email: 'dana@example.com',
+                phone: '5555550100'
+            },
+            familyMembers: [{ firstName: 'Alex', lastName: 'Reyes', birthdate: '2999-01-01' }],
+            householdInfo: { bedrooms: 3 }
+        });
+
+        expect(errors.map((error) => error.path)).toEqual(['familyMembers[0].birthdate']);
+    });
+});
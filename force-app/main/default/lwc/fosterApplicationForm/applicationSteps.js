@@ -0,0 +1,98 @@
+/**
+ * Step definitions for the foster application form.
+ *
+ * Each step declares:
+ * - id: value used by the progress indicator and the template sections
+ * - label: default progress label, with optional per-applicationType overrides in labelsByType
+ * - sections: the parts of the application data edited on this step
+ * - isVisible(application): whether the step applies to this application (defaults to always)
+ * - validate(application): returns [{ path, label, message }], empty when the step is complete
+ *
+ * `application` is { primaryApplicant, familyMembers, householdInfo, documents }.
+ * To add a step, add an entry here and a matching section in the template.
+ */
+import { validateApplication } from './validationRules';
+import { validateDocuments } from './documentRules';
+import { LABELS } from './labels';
+
+const CASEWORKER = 'Caseworker';
+
+function isFosterParentApplication(application) {
+    return application.primaryApplicant.applicationType !== CASEWORKER;
+}
+
+// Section name of a field path, e.g. 'familyMembers[2].email' -> 'familyMembers'
+function getSection(path) {
+    return /^\w+/.exec(path)[0];
+}
+
+/**
+ * Validate the whole application for display on the review step
+ */
+export function validateAllSteps(application) {
+    return [
+        ...validateApplication(application, { includeFamily: isFosterParentApplication(application) }),
+        ...validateDocuments(application)
+    ];
+}
+
+function validateSections(sections) {
+    return (application) => validateAllSteps(application).filter((error) => sections.includes(getSection(error.path)));
+}
+
+export const APPLICATION_STEPS = [
+    {
+        id: 'applicant',
+        label: LABELS.primaryApplicant,
+        labelsByType: { [CASEWORKER]: LABELS.stepApplicantInformation },
+        sections: ['primaryApplicant'],
+        validate: validateSections(['primaryApplicant'])
+    },
+    {
+        id: 'family',
+        label: LABELS.familyMembers,
+        sections: ['familyMembers', 'currentMember'],
+        isVisible: isFosterParentApplication,
+        validate: validateSections(['familyMembers'])
+    },
+    {
+        id: 'household',
+        label: LABELS.stepHousehold,
+        sections: ['householdInfo'],
+        isVisible: isFosterParentApplication,
+        validate: validateSections(['householdInfo'])
+    },
+    {
+        id: 'documents',
+        label: LABELS.documents,
+        sections: ['documents', 'memberDocuments'],
+        validate: validateSections(['documents', 'memberDocuments'])
+    },
+    {
+        id: 'review',
+        label: LABELS.stepReview,
+        sections: []
+    }
+];
+
+export const FIRST_STEP = APPLICATION_STEPS[0].id;
+
+/**
+ * Steps that apply to the given application, with their display labels resolved
+ */
+export function getVisibleSteps(application) {
+    const applicationType = application.primaryApplicant.applicationType;
+
+    return APPLICATION_STEPS.filter((step) => !step.isVisible || step.isVisible(application)).map((step) => ({
+        ...step,
+        label: (step.labelsByType && step.labelsByType[applicationType]) || step.label
+    }));
+}
+
+/**
+ * The step on which a field path such as 'householdInfo.bedrooms' is edited
+ */
+export function getStepForPath(application, path) {
+    const section = getSection(path);
+    return getVisibleSteps(application).find((step) => step.sections && step.sections.includes(section));
+}
@@ -0,0 +1,143 @@
+/**
+ * Supporting documents collected on the documents step.
+ *
+ * Applicant documents are uploaded once per application; member documents once per family member.
+ * A document type can declare:
+ * - label / description: shown on its upload slot
+ * - requiredFor: application types that must provide it
+ * - optionalFor: application types that may provide it (member documents apply to foster parents only)
+ * - required: for member documents, a function (member) => boolean
+ *
+ * ApplicationValidator and ApplicationDocumentService enforce the same rules on the server; keep them in step.
+ */
+import { LABELS, formatLabel } from './labels';
+
+export const MAX_FILE_SIZE_BYTES = 2 * 1024 * 1024;
+export const MAX_FILES_PER_DOCUMENT = 3;
+export const ACCEPTED_FILE_FORMATS = ['.pdf', '.jpg', '.jpeg', '.png'];
+
+const FOSTER_PARENT = 'Foster Parent';
+const CASEWORKER = 'Caseworker';
+
+export const APPLICANT_DOCUMENTS = [
+    {
+        type: 'photoId',
+        label: LABELS.photoId,
+        description: LABELS.photoIdDescription,
+        requiredFor: [FOSTER_PARENT, CASEWORKER]
+    },
+    {
+        type: 'proofOfIncome',
+        label: LABELS.proofOfIncome,
+        description: LABELS.proofOfIncomeDescription,
+        requiredFor: [FOSTER_PARENT]
+    },
+    {
+        type: 'referenceLetter',
+        label: LABELS.referenceLetters,
+        description: LABELS.referenceLettersDescription,
+        optionalFor: [FOSTER_PARENT]
+    },
+    {
+        type: 'professionalLicense',
+        label: LABELS.professionalLicense,
+        description: LABELS.professionalLicenseDescription,
+        requiredFor: [CASEWORKER]
+    }
+];
+
+export const MEMBER_DOCUMENTS = [
+    {
+        type: 'photoId',
+        label: LABELS.photoId,
+        description: LABELS.photoIdDescription
+    },
+    {
+        type: 'proofOfIncome',
+        label: LABELS.proofOfIncome,
+        description: LABELS.memberProofOfIncomeDescription,
+        required: (member) => Boolean(member.employerName && String(member.employerName).trim())
+    }
+];
+
+function appliesTo(documentType, applicationType) {
+    return (documentType.requiredFor || []).includes(applicationType) ||
+        (documentType.optionalFor || []).includes(applicationType);
+}
+
+/**
+ * Check a file before it is uploaded; returns an error message or null
+ */
+export function validateFile(file) {
+    const name = (file.name || '').toLowerCase();
+    if (!ACCEPTED_FILE_FORMATS.some((format) => name.endsWith(format))) {
+        return LABELS.invalidFileType;
+    }
+    if (file.size > MAX_FILE_SIZE_BYTES) {
+        return formatLabel(LABELS.fileTooLarge, MAX_FILE_SIZE_BYTES / (1024 * 1024));
+    }
+    return null;
+}
+
+/**
+ * Upload slots for the application, each with the files already uploaded to it
+ *
+ * `application` is { primaryApplicant, familyMembers, documents }, where documents are
+ * { contentDocumentId, documentType, memberKey, fileName } and memberKey is the
+ * family member's tempId (null for the applicant's own documents).
+ */
+export function getDocumentSlots(application) {
+    const applicationType = application.primaryApplicant.applicationType;
+    const documents = application.documents || [];
+    const filesFor = (documentType, memberKey) =>
+        documents.filter((doc) => doc.documentType === documentType && (doc.memberKey || null) === memberKey);
+
+    const slots = APPLICANT_DOCUMENTS.filter((documentType) => appliesTo(documentType, applicationType)).map((documentType) => ({
+        key: `applicant-${documentType.type}`,
+        path: `documents.${documentType.type}`,
+        documentType: documentType.type,
+        memberKey: null,
+        label: documentType.label,
+        description: documentType.description,
+        required: (documentType.requiredFor || []).includes(applicationType),
+        files: filesFor(documentType.type, null)
+    }));
+
+    if (applicationType === FOSTER_PARENT) {
+        (application.familyMembers || []).forEach((member, index) => {
+            const memberName = `${member.firstName || LABELS.familyMemberFallback} ${member.lastName || ''}`.trim();
+            MEMBER_DOCUMENTS.forEach((documentType) => {
+                slots.push({
+                    key: `${member.tempId}-${documentType.type}`,
+                    path: `memberDocuments[${index}].${documentType.type}`,
+                    documentType: documentType.type,
+                    memberKey: member.tempId,
+                    memberName,
+                    label: `${memberName} - ${documentType.label}`,
+                    description: documentType.description,
+                    required: documentType.required ? documentType.required(member) : false,
+                    files: filesFor(documentType.type, member.tempId)
+                });
+            });
+        });
+    }
+
+    return slots;
+}
+
+/**
+ * Check that every required document has been uploaded; returns [{ path, label, message }]
+ */
+export function validateDocuments(application) {
+    const errors = [];
+
+    getDocumentSlots(application).forEach((slot) => {
+        if (slot.required && slot.files.length === 0) {
+            errors.push({ path: slot.path, label: slot.label, message: LABELS.uploadThisDocument });
+        } else if (slot.files.length > MAX_FILES_PER_DOCUMENT) {
+            errors.push({ path: slot.path, label: slot.label, message: formatLabel(LABELS.maxFilesPerDocument, MAX_FILES_PER_DOCUMENT) });
+        }
+    });
+
+    return errors;
+}
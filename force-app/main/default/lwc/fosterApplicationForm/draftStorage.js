@@ -0,0 +1,99 @@
+/**
+ * Local persistence for in-progress applications so a closed tab or
+ * expired guest session does not lose what the applicant has typed.
+ */
+import { createSubmissionKey } from './submissionRetry';
+
+const STORAGE_KEY = 'fosterApplicationForm.draft';
+// The last payload sent to submitApplication, kept until the server has answered it
+const PENDING_SUBMISSION_KEY = 'fosterApplicationForm.pendingSubmission';
+// Identifies this browser tab to the server, which limits how many applications one session can submit
+const SESSION_KEY = 'fosterApplicationForm.sessionKey';
+
+/**
+ * Read the locally saved draft, or null if there is none
+ */
+export function readLocalDraft() {
+    try {
+        const stored = window.localStorage.getItem(STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch {
+        // Storage can be unavailable (private browsing) or hold a corrupt value
+        return null;
+    }
+}
+
+/**
+ * Save the draft locally
+ */
+export function writeLocalDraft(draft) {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(draft));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Remove the locally saved draft
+ */
+export function clearLocalDraft() {
+    try {
+        window.localStorage.removeItem(STORAGE_KEY);
+    } catch {
+        // Nothing to clear
+    }
+}
+
+/**
+ * Read a submission whose outcome is not yet known, or null if there is none
+ */
+export function readPendingSubmission() {
+    try {
+        const stored = window.localStorage.getItem(PENDING_SUBMISSION_KEY);
+        return stored ? JSON.parse(stored) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Keep a submission payload, with its submissionKey, until the server confirms it
+ */
+export function writePendingSubmission(payload) {
+    try {
+        window.localStorage.setItem(PENDING_SUBMISSION_KEY, JSON.stringify(payload));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Forget the pending submission once the server has answered it
+ */
+export function clearPendingSubmission() {
+    try {
+        window.localStorage.removeItem(PENDING_SUBMISSION_KEY);
+    } catch {
+        // Nothing to clear
+    }
+}
+
+/**
+ * The key for this browser session, created on first use
+ */
+export function getSessionKey() {
+    try {
+        let key = window.sessionStorage.getItem(SESSION_KEY);
+        if (!key) {
+            key = createSubmissionKey();
+            window.sessionStorage.setItem(SESSION_KEY, key);
+        }
+        return key;
+    } catch {
+        // Without storage every page load is its own session
+        return createSubmissionKey();
+    }
+}
@@ -1,59 +1,129 @@
-import { LightningElement, track } from 'lwc';
+import { LightningElement, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { CurrentPageReference } from 'lightning/navigation';
 import submitApplication from '@salesforce/apex/GuestApplicationController.submitApplication';
+import saveDraft from '@salesforce/apex/GuestApplicationController.saveDraft';
+import loadDraft from '@salesforce/apex/GuestApplicationController.loadDraft';
+import sendResumeLink from '@salesforce/apex/GuestApplicationController.sendResumeLink';
+import uploadDocument from '@salesforce/apex/GuestApplicationController.uploadDocument';
+import removeDocument from '@salesforce/apex/GuestApplicationController.removeDocument';
+import { readLocalDraft, writeLocalDraft, clearLocalDraft, readPendingSubmission, writePendingSubmission, clearPendingSubmission, getSessionKey } from './draftStorage';
+import { createSubmissionKey, retryWithBackoff } from './submissionRetry';
+import { FIRST_STEP, getVisibleSteps, getStepForPath, validateAllSteps } from './applicationSteps';
+import { MAX_FAMILY_MEMBERS, MEMBER_RULES, getRuleForPath, todayIsoDate, validateRecord, validateValue } from './validationRules';
+import { evaluatePreScreen } from './preScreenRules';
+import { ACCEPTED_FILE_FORMATS, MAX_FILE_SIZE_BYTES, MAX_FILES_PER_DOCUMENT, getDocumentSlots, validateDocuments, validateFile } from './documentRules';
+import { LABELS, LANGUAGES, formatLabel, getCurrentLanguage } from './labels';
+import { createLogger } from 'c/logger';
+import { getErrorMessage, isTransientError, normalizeErrors } from 'c/errorUtils';
+
+// Wait this long after the last keystroke before syncing the draft to the server
+const DRAFT_SYNC_DELAY_MS = 3000;
+const FAMILY_STEP = 'family';
+const logger = createLogger('fosterApplicationForm');
+
+// Lead fields set by GuestApplicationController.submitApplication, keyed to the input that supplies them
+const LEAD_FIELD_PATHS = {
+    FirstName: 'primaryApplicant.firstName',
+    LastName: 'primaryApplicant.lastName',
+    Email: 'primaryApplicant.email',
+    Phone: 'primaryApplicant.phone',
+    Company: 'primaryApplicant.company',
+    Street: 'primaryApplicant.street',
+    City: 'primaryApplicant.city',
+    State: 'primaryApplicant.state',
+    PostalCode: 'primaryApplicant.postalCode',
+    Application_Type__c: 'primaryApplicant.applicationType'
+};
+
+/**
+ * Read a file as base64 for Apex, without the data URL prefix
+ */
+function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.split(',')[1]);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Display label for a stored picklist value, falling back to the value itself
+ */
+function getOptionLabel(options, value) {
+    const option = options.find(item => item.value === value);
+    return option ? option.label : value;
+}
 
 export default class EnhancedFosterApplicationForm extends LightningElement {
-    @track currentStep = 'step1';
+    @track currentStep = FIRST_STEP;
     @track showSuccess = false;
+    @track possibleDuplicate = false;
     @track errorMessage = '';
     @track isSubmitting = false;
+    @track submitStatusMessage = '';
+    @track referenceNumber;
+    @track statusCode;
 
-    @track primaryApplicant = {
-        firstName: '',
-        lastName: '',
-        email: '',
-        phone: '',
-        company: '',
-        street: '',
-        city: '',
-        state: '',
-        postalCode: '',
-        applicationType: ''
-    };
+    @track primaryApplicant = this.getEmptyApplicant();
 
     @track familyMembers = [];
     @track currentMember = this.getEmptyMember();
 
-    @track householdInfo = {
-        homeType: '',
-        bedrooms: 0,
-        squareFootage: 0,
-        hasPool: false,
-        hasPets: false,
-        petDetails: '',
-        smoking: false
-    };
+    @track householdInfo = this.getEmptyHouseholdInfo();
+
+    // Uploaded supporting documents: { contentDocumentId, documentType, memberKey, fileName }
+    @track documents = [];
+    @track uploadingSlotKey;
+    @track showDocumentErrors = false;
+    acceptedFileFormats = ACCEPTED_FILE_FORMATS;
+
+    // Save-and-resume state
+    @track resumeCode;
+    @track resumeCodeInput = '';
+    @track showResumeCode = false;
+    @track isSavingDraft = false;
+    @track isResuming = false;
+    @track lastDraftSavedAt;
+    draftSyncTimeout;
+    loadedResumeCode;
+
+    // Checked by the server to spot bots: a hidden field only they fill in, and when the application
+    // was started, which is kept in drafts so a resumed application is not mistaken for a fast one
+    honeypot = '';
+    startedAt = Date.now();
+
+    // Field to focus once the step holding it has rendered
+    pendingFocusPath;
+
+    // Errors returned by the server, keyed by field path
+    @track serverErrors = {};
+
+    labels = LABELS;
+    languageOptions = LANGUAGES;
+    currentLanguage = getCurrentLanguage();
 
     applicationTypeOptions = [
-        { label: 'Foster Parent', value: 'Foster Parent' },
-        { label: 'Caseworker', value: 'Caseworker' }
+        { label: LABELS.fosterParent, value: 'Foster Parent' },
+        { label: LABELS.caseworker, value: 'Caseworker' }
     ];
 
     relationshipOptions = [
-        { label: 'Spouse', value: 'Spouse' },
-        { label: 'Partner', value: 'Partner' },
-        { label: 'Adult Child', value: 'Child' },
-        { label: 'Parent', value: 'Parent' },
-        { label: 'Sibling', value: 'Sibling' },
-        { label: 'Other Relative', value: 'Other Relative' },
-        { label: 'Other', value: 'Other' }
+        { label: LABELS.spouse, value: 'Spouse' },
+        { label: LABELS.partner, value: 'Partner' },
+        { label: LABELS.adultChild, value: 'Child' },
+        { label: LABELS.parent, value: 'Parent' },
+        { label: LABELS.sibling, value: 'Sibling' },
+        { label: LABELS.otherRelative, value: 'Other Relative' },
+        { label: LABELS.other, value: 'Other' }
     ];
 
     homeTypeOptions = [
-        { label: 'Own', value: 'Own' },
-        { label: 'Rent', value: 'Rent' },
-        { label: 'With Family', value: 'With Family' },
-        { label: 'Other', value: 'Other' }
+        { label: LABELS.ownHome, value: 'Own' },
+        { label: LABELS.rentHome, value: 'Rent' },
+        { label: LABELS.withFamily, value: 'With Family' },
+        { label: LABELS.other, value: 'Other' }
     ];
 
     // Check if applicant is a caseworker
@@ -61,18 +131,276 @@ export default class EnhancedFosterApplicationForm extends LightningElement {
         return this.primaryApplicant.applicationType === 'Caseworker';
     }
 
-    // Step checks
-    get isStep1() { return this.currentStep === 'step1'; }
-    get isStep2() { return this.currentStep === 'step2'; }
-    get isStep3() { return this.currentStep === 'step3'; }
-    get isStep4() { return this.currentStep === 'step4'; }
+    /**
+     * Application data as seen by the step definitions
+     */
+    get applicationState() {
+        return {
+            primaryApplicant: this.primaryApplicant,
+            familyMembers: this.familyMembers,
+            householdInfo: this.householdInfo,
+            documents: this.documents
+        };
+    }
+
+    get visibleSteps() {
+        return getVisibleSteps(this.applicationState);
+    }
+
+    get currentStepIndex() {
+        return this.visibleSteps.findIndex(step => step.id === this.currentStep);
+    }
+
+    // Step checks, keyed by step id (e.g. activeStep.family)
+    get activeStep() {
+        return { [this.currentStep]: true };
+    }
+
+    get isFirstStep() {
+        return this.currentStepIndex <= 0;
+    }
+
+    get isLastStep() {
+        return this.currentStepIndex === this.visibleSteps.length - 1;
+    }
 
     get hasFamilyMembers() {
         return this.familyMembers && this.familyMembers.length > 0;
     }
 
+    get today() {
+        return todayIsoDate();
+    }
+
+    /**
+     * Family members with any validation errors attached, for the member list
+     */
+    get familyMemberCards() {
+        return this.familyMembers.map((member, index) => {
+            const errors = validateRecord(MEMBER_RULES, member).map(error => ({
+                path: error.field,
+                fieldLabel: error.label,
+                message: error.message
+            }));
+            Object.keys(this.serverErrors)
+                .filter(path => path.startsWith(`familyMembers[${index}].`))
+                .forEach(path => {
+                    const field = path.split('.')[1];
+                    if (!errors.some(error => error.path === field)) {
+                        errors.push({ path: field, fieldLabel: MEMBER_RULES[field]?.label || field, message: this.serverErrors[path] });
+                    }
+                });
+            return {
+                ...member,
+                relationshipLabel: getOptionLabel(this.relationshipOptions, member.relationship),
+                editLabel: formatLabel(LABELS.editMember, `${member.firstName} ${member.lastName}`),
+                removeLabel: formatLabel(LABELS.removeMember, `${member.firstName} ${member.lastName}`),
+                errors,
+                cardClass: errors.length ? 'slds-box slds-m-bottom_small slds-has-error' : 'slds-box slds-m-bottom_small'
+            };
+        });
+    }
+
+    /**
+     * Every outstanding error in the application, for the review step summary
+     */
+    get reviewErrors() {
+        const application = this.applicationState;
+        const errors = validateAllSteps(application);
+
+        // Hard stops in the licensing pre-screen block submitting like any other error
+        const preScreen = evaluatePreScreen(application);
+        (preScreen ? preScreen.findings : [])
+            .filter(finding => finding.isStop && !errors.some(error => error.path === finding.path))
+            .forEach(finding => {
+                errors.push({ path: finding.path, label: LABELS.preScreenHeading, message: finding.message });
+            });
+
+        // Add anything the server rejected that the client rules did not catch
+        Object.keys(this.serverErrors).forEach(path => {
+            if (path && !errors.some(error => error.path === path)) {
+                const rule = getRuleForPath(path);
+                errors.push({ path, label: rule ? rule.label : path, message: this.serverErrors[path] });
+            }
+        });
+
+        return errors.map(error => {
+            const step = getStepForPath(application, error.path);
+            return { ...error, stepLabel: step ? step.label : '' };
+        });
+    }
+
+    /**
+     * Licensing pre-screen of the household, for the household and review steps; null for caseworkers
+     */
+    get preScreen() {
+        const preScreen = evaluatePreScreen(this.applicationState);
+        if (!preScreen) {
+            return null;
+        }
+
+        return {
+            ...preScreen,
+            hasFindings: preScreen.findings.length > 0,
+            findings: preScreen.findings.map(finding => ({
+                ...finding,
+                severityLabel: finding.isStop ? LABELS.preScreenStop : LABELS.preScreenWarning,
+                itemClass: finding.isStop ? 'slds-text-color_error' : ''
+            }))
+        };
+    }
+
+    get hasReviewErrors() {
+        return this.reviewErrors.length > 0;
+    }
+
+    /**
+     * Upload slots for the documents step, with errors once the step has been checked
+     */
+    get documentSlots() {
+        const errors = this.showDocumentErrors ? validateDocuments(this.applicationState) : [];
+
+        return getDocumentSlots(this.applicationState).map(slot => {
+            const error = this.serverErrors[slot.path] || errors.find(e => e.path === slot.path)?.message;
+            return {
+                ...slot,
+                files: slot.files.map(file => ({ ...file, removeLabel: formatLabel(LABELS.removeFile, file.fileName) })),
+                error,
+                isUploading: this.uploadingSlotKey === slot.key,
+                uploadDisabled: Boolean(this.uploadingSlotKey) || slot.files.length >= MAX_FILES_PER_DOCUMENT,
+                slotClass: error ? 'slds-box slds-m-bottom_small slds-has-error' : 'slds-box slds-m-bottom_small'
+            };
+        });
+    }
+
+    /**
+     * Uploaded documents that still have an upload slot, e.g. not those for a different application type
+     */
+    get applicableDocuments() {
+        const inSlots = new Set(getDocumentSlots(this.applicationState).flatMap(slot => slot.files));
+        return this.documents.filter(doc => inSlots.has(doc));
+    }
+
+    get hasDocuments() {
+        return this.applicableDocuments.length > 0;
+    }
+
     get householdInfo_hasPetsLabel() {
-        return this.householdInfo.hasPets ? 'Yes' : 'No';
+        return this.householdInfo.hasPets ? LABELS.yes : LABELS.no;
+    }
+
+    // Stored values stay in English; these show them in the page's language
+    get applicationTypeLabel() {
+        return getOptionLabel(this.applicationTypeOptions, this.primaryApplicant.applicationType);
+    }
+
+    get homeTypeLabel() {
+        return getOptionLabel(this.homeTypeOptions, this.householdInfo.homeType);
+    }
+
+    get reviewFamilyMembers() {
+        return this.familyMembers.map(member => ({
+            ...member,
+            relationshipLabel: getOptionLabel(this.relationshipOptions, member.relationship)
+        }));
+    }
+
+    get documentsIntro() {
+        return formatLabel(LABELS.documentsIntro, MAX_FILE_SIZE_BYTES / (1024 * 1024));
+    }
+
+    get saveForLaterDisabled() {
+        return this.isSavingDraft || !this.primaryApplicant.applicationType;
+    }
+
+    get referenceNumberMessage() {
+        return formatLabel(LABELS.referenceNumber, this.referenceNumber);
+    }
+
+    get statusTrackingMessage() {
+        return formatLabel(LABELS.statusTrackingHint, this.statusCode);
+    }
+
+    get emailResumeLinkDisabled() {
+        return this.isSavingDraft || !this.primaryApplicant.email;
+    }
+
+    /**
+     * Restore any draft left in this browser, and finish a submission that never got an answer
+     */
+    connectedCallback() {
+        const localDraft = readLocalDraft();
+        if (localDraft) {
+            this.applyDraft(localDraft);
+        }
+
+        // Sent with its original key, so a submission the server did receive is not created twice
+        const pendingSubmission = readPendingSubmission();
+        if (pendingSubmission) {
+            this.sendSubmission(pendingSubmission);
+        }
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this.draftSyncTimeout);
+    }
+
+    /**
+     * Focus the heading of a new step, or a field requested from the error summary or the server,
+     * once it is on screen
+     */
+    renderedCallback() {
+        if (this.pendingHeadingFocus) {
+            const heading = this.template.querySelector('[data-id="page-heading"]');
+            if (heading) {
+                this.pendingHeadingFocus = false;
+                heading.focus();
+            }
+        }
+
+        if (!this.pendingFocusPath) {
+            return;
+        }
+
+        const input = this.template.querySelector(`[data-path="${this.pendingFocusPath}"]`);
+        if (input) {
+            this.pendingFocusPath = undefined;
+
+            // Highlight every field on this step the server rejected, not just the focused one
+            this.template.querySelectorAll('[data-path]').forEach(field => {
+                if (this.serverErrors[field.dataset.path]) {
+                    this.updateFieldValidity(field);
+                    field.reportValidity();
+                }
+            });
+
+            this.updateFieldValidity(input);
+            input.reportValidity();
+            input.focus();
+        }
+    }
+
+    /**
+     * Resume from a ?resume=CODE link
+     */
+    @wire(CurrentPageReference)
+    setPageReference(pageRef) {
+        const code = pageRef?.state?.resume;
+        if (code && code !== this.loadedResumeCode) {
+            this.loadedResumeCode = code;
+            this.resumeFromCode(code);
+        }
+    }
+
+    /**
+     * Drop a server error once the applicant edits the field it belongs to
+     */
+    clearServerError(path) {
+        if (path && this.serverErrors[path]) {
+            const remaining = { ...this.serverErrors };
+            delete remaining[path];
+            this.serverErrors = remaining;
+        }
     }
 
     /**
@@ -80,13 +408,24 @@ export default class EnhancedFosterApplicationForm extends LightningElement {
      */
     handlePrimaryFieldChange(event) {
         const field = event.currentTarget.dataset.field;
+        this.clearServerError(event.currentTarget.dataset.path);
         const oldType = this.primaryApplicant.applicationType;
         this.primaryApplicant[field] = event.target.value;
+        this.updateFieldValidity(event.target);
         
-        // If application type changed, reset to step 1
+        // If application type changed, the visible steps change too, so start over
         if (field === 'applicationType' && oldType !== event.target.value) {
-            this.currentStep = 'step1';
+            this.currentStep = FIRST_STEP;
+
+            // The applicant's files for documents the new type does not take could not be seen or removed;
+            // family members' files are kept in case the type is switched back
+            const applicable = new Set(this.applicableDocuments);
+            this.documents
+                .filter(doc => !doc.memberKey && !applicable.has(doc))
+                .forEach(doc => this.deleteDocument(doc.contentDocumentId));
         }
+
+        this.persistDraft();
     }
 
     /**
@@ -94,7 +433,10 @@ export default class EnhancedFosterApplicationForm extends LightningElement {
      */
     handleMemberFieldChange(event) {
         const field = event.currentTarget.dataset.field;
+        this.clearServerError(event.currentTarget.dataset.path);
         this.currentMember[field] = event.target.value;
+        this.updateFieldValidity(event.target);
+        this.persistDraft();
     }
 
     /**
@@ -102,29 +444,104 @@ export default class EnhancedFosterApplicationForm extends LightningElement {
      */
     handleHouseholdFieldChange(event) {
         const field = event.currentTarget.dataset.field;
+        this.clearServerError(event.currentTarget.dataset.path);
         const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
         this.householdInfo[field] = value;
+        if (event.target.dataset.path) {
+            this.updateFieldValidity(event.target);
+        }
+        this.persistDraft();
     }
 
     /**
      * Add family member to list
      */
     handleAddFamilyMember() {
-        if (!this.currentMember.firstName || !this.currentMember.lastName) {
-            this.showToast('Error', 'Please enter first and last name', 'error');
+        if (!this.reportFieldValidity('currentMember.')) {
+            this.showToast(LABELS.errorTitle, LABELS.correctHighlightedFields, 'error');
+            return;
+        }
+
+        if (this.familyMembers.length >= MAX_FAMILY_MEMBERS) {
+            this.showToast(LABELS.errorTitle, formatLabel(LABELS.familyMemberLimit, MAX_FAMILY_MEMBERS), 'error');
             return;
         }
 
-        // Add temp ID for tracking
-        this.currentMember.tempId = Date.now();
+        // Add temp ID for tracking; an edited member keeps theirs so their documents stay with them
+        this.currentMember.tempId = this.currentMember.tempId || Date.now();
         
         // Add to array
         this.familyMembers = [...this.familyMembers, { ...this.currentMember }];
+        Object.keys(this.serverErrors)
+            .filter(path => path.startsWith('currentMember.'))
+            .forEach(path => this.clearServerError(path));
         
         // Reset form
         this.currentMember = this.getEmptyMember();
+        this.persistDraft();
         
-        this.showToast('Success', 'Family member added', 'success');
+        this.showToast(LABELS.successTitle, LABELS.familyMemberAdded, 'success');
+    }
+
+    /**
+     * Move a family member back into the form for editing
+     */
+    handleEditMember(event) {
+        if (this.currentMember.firstName || this.currentMember.lastName) {
+            this.showToast(LABELS.errorTitle, LABELS.finishCurrentMember, 'error');
+            return;
+        }
+        this.editMember(parseInt(event.currentTarget.dataset.index, 10));
+    }
+
+    /**
+     * Whether the add-member form holds a member that is not in the family list:
+     * one being typed, or a saved one taken out of the list to edit
+     */
+    get hasUnsavedMember() {
+        if (this.isCaseworker) {
+            return false;
+        }
+        const member = this.currentMember;
+        return Boolean(member.tempId) || Object.keys(this.getEmptyMember()).some(field => (
+            member[field] !== '' && member[field] !== null && member[field] !== undefined
+        ));
+    }
+
+    editMember(index) {
+        const member = this.familyMembers[index];
+        if (!member) {
+            return;
+        }
+        this.currentMember = { ...this.getEmptyMember(), ...member };
+        this.familyMembers = this.familyMembers.filter((_, i) => i !== index);
+        this.serverErrors = this.remapMemberServerErrors(index, true);
+        this.persistDraft();
+    }
+
+    /**
+     * Server errors of the members after one taken out of the list shift down one index;
+     * the removed member's own errors follow it into the add-member form when it is being edited
+     */
+    remapMemberServerErrors(removedIndex, moveToForm) {
+        const remapped = {};
+        Object.keys(this.serverErrors).forEach(path => {
+            const match = /^(familyMembers|memberDocuments)\[(\d+)\]\.(\w+)$/.exec(path);
+            if (!match) {
+                remapped[path] = this.serverErrors[path];
+                return;
+            }
+            const [, section, indexText, field] = match;
+            const index = parseInt(indexText, 10);
+            if (index === removedIndex) {
+                if (moveToForm && section === 'familyMembers') {
+                    remapped[`currentMember.${field}`] = this.serverErrors[path];
+                }
+            } else {
+                remapped[`${section}[${index > removedIndex ? index - 1 : index}].${field}`] = this.serverErrors[path];
+            }
+        });
+        return remapped;
     }
 
     /**
@@ -132,96 +549,414 @@ export default class EnhancedFosterApplicationForm extends LightningElement {
      */
     handleRemoveMember(event) {
         const index = parseInt(event.currentTarget.dataset.index, 10);
+        const removed = this.familyMembers[index];
+        this.serverErrors = this.remapMemberServerErrors(index, false);
         this.familyMembers = this.familyMembers.filter((_, i) => i !== index);
-        this.showToast('Success', 'Family member removed', 'success');
+
+        // Their documents go with them
+        if (removed) {
+            this.documents
+                .filter(doc => doc.memberKey === removed.tempId)
+                .forEach(doc => this.deleteDocument(doc.contentDocumentId));
+        }
+        this.persistDraft();
+        this.showToast(LABELS.successTitle, LABELS.familyMemberRemoved, 'success');
     }
 
     /**
      * Navigation: Next
      */
     handleNext() {
-        // Validate current step
-        if (this.currentStep === 'step1') {
-            if (!this.validateStep1()) {
-                return;
-            }
-            
-            // If caseworker, skip to review step (step4)
-            if (this.isCaseworker) {
-                this.currentStep = 'step4';
-            } else {
-                this.currentStep = 'step2';
-            }
-        } else if (this.currentStep === 'step2') {
-            this.currentStep = 'step3';
-        } else if (this.currentStep === 'step3') {
-            this.currentStep = 'step4';
+        if (!this.validateCurrentStep()) {
+            return;
+        }
+
+        const nextStep = this.visibleSteps[this.currentStepIndex + 1];
+        if (nextStep) {
+            this.goToStep(nextStep.id);
         }
-        
-        this.errorMessage = '';
-        window.scrollTo(0, 0);
     }
 
     /**
      * Navigation: Previous
      */
     handlePrevious() {
-        if (this.currentStep === 'step4') {
-            // If caseworker, go back to step1
-            if (this.isCaseworker) {
-                this.currentStep = 'step1';
-            } else {
-                this.currentStep = 'step3';
-            }
-        } else if (this.currentStep === 'step3') {
-            this.currentStep = 'step2';
-        } else if (this.currentStep === 'step2') {
-            this.currentStep = 'step1';
+        const previousStep = this.visibleSteps[this.currentStepIndex - 1];
+        if (previousStep) {
+            this.goToStep(previousStep.id);
         }
-        
+    }
+
+    /**
+     * Jump back to a completed step from the progress indicator
+     */
+    handleStepFocus(event) {
+        const index = event.detail.index;
+        if (index < this.currentStepIndex) {
+            this.goToStep(this.visibleSteps[index].id);
+        }
+    }
+
+    /**
+     * Only members in the list are submitted, so the family step cannot be left while one is
+     * still in the add-member form
+     */
+    canGoToStep(stepId) {
+        if (this.currentStep === FAMILY_STEP && stepId !== FAMILY_STEP && this.hasUnsavedMember) {
+            this.errorMessage = LABELS.finishCurrentMember;
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Move to a step, focusing its heading unless a field is waiting for focus, and announce it
+     */
+    goToStep(stepId) {
+        if (!this.canGoToStep(stepId)) {
+            return;
+        }
+
+        this.currentStep = stepId;
         this.errorMessage = '';
+        this.persistDraft();
         window.scrollTo(0, 0);
+        this.pendingHeadingFocus = !this.pendingFocusPath;
+
+        const steps = this.visibleSteps;
+        const index = this.currentStepIndex;
+        if (index >= 0) {
+            this.announce(formatLabel(LABELS.stepAnnouncement, index + 1, steps.length, steps[index].label));
+        }
     }
 
     /**
-     * Validate step 1
+     * Run the current step's validator, if it has one, and show inline errors
      */
-    validateStep1() {
-        if (!this.primaryApplicant.firstName || !this.primaryApplicant.lastName || 
-            !this.primaryApplicant.email || !this.primaryApplicant.phone || 
-            !this.primaryApplicant.applicationType) {
-            this.errorMessage = 'Please fill in all required fields';
+    validateCurrentStep() {
+        const step = this.visibleSteps[this.currentStepIndex];
+        const errors = step && step.validate ? step.validate(this.applicationState) : [];
+
+        // The add-member form is only checked when a member is added
+        this.reportFieldValidity('', 'currentMember.');
+        this.showDocumentErrors = this.showDocumentErrors || this.currentStep === 'documents';
+
+        if (errors.length) {
+            this.errorMessage = LABELS.correctHighlightedFields;
+
+            // Take keyboard users to the first field to fix; member errors have no input on this step
+            const firstInvalid = errors
+                .map(error => this.template.querySelector(`[data-path="${error.path}"]`))
+                .find(Boolean);
+            if (firstInvalid) {
+                firstInvalid.focus();
+            }
             return false;
         }
         return true;
     }
 
+    /**
+     * Navigate from the error summary to the field that needs fixing
+     */
+    handleErrorLinkClick(event) {
+        event.preventDefault();
+        this.goToField(event.currentTarget.dataset.path);
+    }
+
+    /**
+     * Show the step that edits a field path and focus the field
+     */
+    goToField(path) {
+        const step = getStepForPath(this.applicationState, path);
+        if (!step) {
+            return;
+        }
+        if (!this.canGoToStep(step.id)) {
+            return;
+        }
+
+        let focusPath = path;
+
+        // Saved family members are corrected by loading them back into the add-member form,
+        // as long as it is not already holding another one
+        const memberMatch = /^familyMembers\[(\d+)\]\.(\w+)$/.exec(path);
+        if (memberMatch && this.hasUnsavedMember) {
+            this.showToast(LABELS.errorTitle, LABELS.finishCurrentMember, 'error');
+            focusPath = 'currentMember.firstName';
+        } else if (memberMatch) {
+            this.editMember(parseInt(memberMatch[1], 10));
+            focusPath = `currentMember.${memberMatch[2]}`;
+        }
+
+        this.showDocumentErrors = true;
+        this.pendingFocusPath = focusPath;
+        this.goToStep(step.id);
+    }
+
+    /**
+     * Apply the validation rule for an input's data-path as its custom validity
+     * Returns the error message, if any
+     */
+    updateFieldValidity(input) {
+        const path = input.dataset.path;
+        const [section, field] = path.split('.');
+        const record = this[section] || {};
+        const message = validateValue(getRuleForPath(path), record[field], record) || this.serverErrors[path];
+
+        input.setCustomValidity(message || '');
+        return message;
+    }
+
+    /**
+     * Validate and report every rendered input whose path starts with the prefix
+     * Returns true when all of them are valid
+     */
+    reportFieldValidity(prefix = '', excludePrefix) {
+        let allValid = true;
+
+        this.template.querySelectorAll('[data-path]').forEach(input => {
+            const path = input.dataset.path;
+            if (!path.startsWith(prefix) || (excludePrefix && path.startsWith(excludePrefix))) {
+                return;
+            }
+            const message = this.updateFieldValidity(input);
+            input.reportValidity();
+            if (message) {
+                allValid = false;
+            }
+        });
+
+        return allValid;
+    }
+
+    /**
+     * Upload a file to a document slot
+     * Files are kept with the server draft, so one is saved first if the applicant has no resume code yet
+     */
+    async handleDocumentUpload(event) {
+        const { slotKey, documentType, path } = event.currentTarget.dataset;
+        const memberKey = event.currentTarget.dataset.memberKey ? Number(event.currentTarget.dataset.memberKey) : null;
+        const file = event.detail.files && event.detail.files[0];
+        if (!file) {
+            return;
+        }
+
+        const fileError = validateFile(file);
+        if (fileError) {
+            this.showToast(LABELS.errorTitle, fileError, 'error');
+            return;
+        }
+
+        this.uploadingSlotKey = slotKey;
+
+        try {
+            if (!this.resumeCode && !(await this.syncDraftToServer())) {
+                return;
+            }
+
+            const contentDocumentId = await uploadDocument({
+                resumeCode: this.resumeCode,
+                documentType,
+                fileName: file.name,
+                base64Data: await readFileAsBase64(file),
+                sessionKey: getSessionKey()
+            });
+
+            this.documents = [...this.documents, { contentDocumentId, documentType, memberKey, fileName: file.name }];
+            this.clearServerError(path);
+            this.persistDraft();
+            this.showToast(LABELS.successTitle, formatLabel(LABELS.fileUploaded, file.name), 'success');
+
+        } catch (error) {
+            logger.error('handleDocumentUpload', error, { documentType });
+            this.showToast(LABELS.errorTitle, getErrorMessage(error), 'error');
+        } finally {
+            this.uploadingSlotKey = undefined;
+        }
+    }
+
+    /**
+     * Remove an uploaded file
+     */
+    handleRemoveDocument(event) {
+        this.deleteDocument(event.currentTarget.dataset.documentId);
+    }
+
+    async deleteDocument(contentDocumentId) {
+        this.documents = this.documents.filter(doc => doc.contentDocumentId !== contentDocumentId);
+        this.persistDraft();
+
+        try {
+            await removeDocument({ resumeCode: this.resumeCode, contentDocumentId, sessionKey: getSessionKey() });
+        } catch (error) {
+            // The file is no longer part of the application either way; expired drafts clean up what is left
+            logger.warn('deleteDocument', error);
+            this.showToast(LABELS.errorTitle, getErrorMessage(error), 'error');
+        }
+    }
+
+    handleHoneypotInput(event) {
+        this.honeypot = event.target.value;
+    }
+
     /**
      * Final submit
      */
     async handleFinalSubmit() {
+        if (this.isSubmitting) {
+            return;
+        }
+        if (this.hasReviewErrors) {
+            this.errorMessage = LABELS.fixErrorsAbove;
+            return;
+        }
+        // A draft can be restored with a member still in the add-member form
+        if (this.hasUnsavedMember) {
+            this.goToStep(FAMILY_STEP);
+            this.errorMessage = LABELS.finishCurrentMember;
+            return;
+        }
+
+        // Keep the key of a submission that never got an answer, in case the server did receive it
+        const pendingSubmission = readPendingSubmission();
+        const payload = {
+            ...this.buildApplicationPayload(),
+            submissionKey: pendingSubmission?.submissionKey || createSubmissionKey(),
+            website: this.honeypot,
+            sessionKey: getSessionKey(),
+            fillSeconds: Math.round((Date.now() - this.startedAt) / 1000)
+        };
+        writePendingSubmission(payload);
+        await this.sendSubmission(payload);
+    }
+
+    /**
+     * Send a submission, retrying with backoff while the failure looks transient
+     * The payload stays in local storage until the server has answered
+     */
+    async sendSubmission(payload) {
         this.isSubmitting = true;
         this.errorMessage = '';
 
         try {
-            const applicationData = {
-                primaryApplicant: this.primaryApplicant,
-                // Only include family members and household info for Foster Parents
-                familyMembers: this.isCaseworker ? [] : this.familyMembers,
-                householdInfo: this.isCaseworker ? {} : this.householdInfo
-            };
+            const result = await retryWithBackoff(
+                () => submitApplication({ applicationDataJson: JSON.stringify(payload) }),
+                {
+                    shouldRetry: isTransientError,
+                    onRetry: (attempt, error) => {
+                        logger.warn('sendSubmission', error, { attempt });
+                        this.submitStatusMessage = LABELS.submissionRetrying;
+                        this.announce(LABELS.submissionRetrying);
+                    }
+                }
+            );
+            clearPendingSubmission();
 
-            await submitApplication({ applicationDataJson: JSON.stringify(applicationData) });
+            if (!result.success) {
+                this.applyServerErrors(result.errors);
+                return;
+            }
 
+            // The server removes its copy of the draft on submit
+            this.clearDraft();
+            this.possibleDuplicate = result.possibleDuplicate === true;
+            this.referenceNumber = result.referenceNumber;
+            this.statusCode = result.statusCode;
             this.showSuccess = true;
-            this.showToast('Success', 'Application submitted successfully!', 'success');
+            this.pendingHeadingFocus = true;
+            this.showToast(LABELS.successTitle, LABELS.applicationSubmitted, 'success');
             window.scrollTo(0, 0);
 
         } catch (error) {
-            this.errorMessage = 'Error submitting application: ' + (error.body?.message || error.message);
-            this.showToast('Error', this.errorMessage, 'error');
+            logger.error('sendSubmission', error, { applicationType: payload.primaryApplicant?.applicationType });
+            if (isTransientError(error)) {
+                // The outcome is unknown, so the payload and its key are kept for the next attempt
+                this.errorMessage = LABELS.submissionUnconfirmed;
+            } else {
+                clearPendingSubmission();
+                this.applySubmitException(error);
+            }
         } finally {
             this.isSubmitting = false;
+            this.submitStatusMessage = '';
+        }
+    }
+
+    /**
+     * Application data as sent to the server, with numeric inputs converted from strings
+     */
+    buildApplicationPayload() {
+        const toNumber = value => (value === '' || value === null || value === undefined ? null : Number(value));
+        const memberIndexes = new Map(this.familyMembers.map((member, index) => [member.tempId, index]));
+
+        return {
+            resumeCode: this.resumeCode,
+            primaryApplicant: { ...this.primaryApplicant, preferredLanguage: this.currentLanguage },
+            // Only include family members and household info for Foster Parents
+            familyMembers: this.isCaseworker ? [] : this.familyMembers.map(member => ({
+                ...member,
+                birthdate: member.birthdate || null,
+                monthlyIncome: toNumber(member.monthlyIncome)
+            })),
+            householdInfo: this.isCaseworker ? {} : {
+                ...this.householdInfo,
+                bedrooms: toNumber(this.householdInfo.bedrooms),
+                squareFootage: toNumber(this.householdInfo.squareFootage)
+            },
+            // Member documents are matched to their member by position in familyMembers
+            documents: this.applicableDocuments.map(doc => ({
+                contentDocumentId: doc.contentDocumentId,
+                documentType: doc.documentType,
+                fileName: doc.fileName,
+                memberIndex: doc.memberKey ? memberIndexes.get(doc.memberKey) : null
+            }))
+        };
+    }
+
+    /**
+     * Show server validation errors against their fields, starting with the first one
+     */
+    applyServerErrors(errors) {
+        const serverErrors = {};
+        (errors || []).forEach(error => {
+            serverErrors[error.path] = error.message;
+        });
+        this.serverErrors = serverErrors;
+
+        const firstFieldError = (errors || []).find(error => error.path && getStepForPath(this.applicationState, error.path));
+        if (firstFieldError) {
+            this.goToField(firstFieldError.path);
+            this.showToast(LABELS.errorTitle, LABELS.correctHighlightedFields, 'error');
+        } else {
+            // Nothing to point at, so fall back to the message itself
+            this.errorMessage = errors && errors.length ? errors[0].message : LABELS.errorSubmitting;
+        }
+    }
+
+    /**
+     * Show an exception from submitting, such as a validation rule on the Lead, against the
+     * fields it names; anything that names no field is shown as the error message
+     */
+    applySubmitException(error) {
+        const { pageErrors, fieldErrors } = normalizeErrors(error);
+        const errors = [];
+        const otherMessages = [...pageErrors];
+
+        Object.keys(fieldErrors).forEach(field => {
+            if (LEAD_FIELD_PATHS[field]) {
+                errors.push({ path: LEAD_FIELD_PATHS[field], message: fieldErrors[field] });
+            } else if (!otherMessages.includes(fieldErrors[field])) {
+                otherMessages.push(fieldErrors[field]);
+            }
+        });
+
+        if (errors.length) {
+            this.applyServerErrors(errors);
+            this.errorMessage = otherMessages.join('; ');
+        } else {
+            this.errorMessage = formatLabel(LABELS.errorSubmittingDetail, getErrorMessage(error));
+            this.showToast(LABELS.errorTitle, this.errorMessage, 'error');
         }
     }
 
@@ -230,8 +965,198 @@ export default class EnhancedFosterApplicationForm extends LightningElement {
      */
     handleNewApplication() {
         this.showSuccess = false;
-        this.currentStep = 'step1';
-        this.primaryApplicant = {
+        this.possibleDuplicate = false;
+        this.referenceNumber = undefined;
+        this.statusCode = undefined;
+        this.currentStep = FIRST_STEP;
+        this.primaryApplicant = this.getEmptyApplicant();
+        this.familyMembers = [];
+        this.currentMember = this.getEmptyMember();
+        this.householdInfo = this.getEmptyHouseholdInfo();
+        this.documents = [];
+        this.showDocumentErrors = false;
+        this.errorMessage = '';
+        this.serverErrors = {};
+        this.startedAt = Date.now();
+        this.clearDraft();
+    }
+
+    /**
+     * Handle "Save and continue later"
+     */
+    async handleSaveForLater() {
+        const saved = await this.syncDraftToServer();
+        if (saved) {
+            this.showResumeCode = true;
+            this.showToast(LABELS.successTitle, LABELS.applicationSaved, 'success');
+        }
+    }
+
+    /**
+     * Email a resume link to the applicant's address
+     */
+    async handleEmailResumeLink() {
+        const saved = await this.syncDraftToServer();
+        if (!saved) {
+            return;
+        }
+
+        try {
+            await sendResumeLink({ resumeCode: this.resumeCode, sessionKey: getSessionKey() });
+            this.showToast(LABELS.successTitle, formatLabel(LABELS.resumeLinkSent, this.primaryApplicant.email), 'success');
+        } catch (error) {
+            logger.error('handleEmailResumeLink', error);
+            this.showToast(LABELS.errorTitle, getErrorMessage(error), 'error');
+        }
+    }
+
+    /**
+     * Reload the page in another language; labels are resolved on load, and the
+     * local draft written here is restored by connectedCallback
+     */
+    handleLanguageChange(event) {
+        const language = event.detail.value;
+        if (language === this.currentLanguage) {
+            return;
+        }
+
+        clearTimeout(this.draftSyncTimeout);
+        writeLocalDraft(this.getDraftSnapshot());
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('language', language);
+        window.location.assign(url.toString());
+    }
+
+    handleCloseResumeCode() {
+        this.showResumeCode = false;
+    }
+
+    handleResumeCodeInputChange(event) {
+        this.resumeCodeInput = event.target.value;
+    }
+
+    /**
+     * Resume from a code typed into the form
+     */
+    handleResumeWithCode() {
+        if (!this.resumeCodeInput) {
+            this.showToast(LABELS.errorTitle, LABELS.enterResumeCode, 'error');
+            return;
+        }
+        this.resumeFromCode(this.resumeCodeInput.trim().toUpperCase());
+    }
+
+    /**
+     * Load a server draft and restore it into the form
+     */
+    async resumeFromCode(code) {
+        this.isResuming = true;
+
+        try {
+            const draftJson = await loadDraft({ resumeCode: code });
+            this.applyDraft({ ...JSON.parse(draftJson), resumeCode: code });
+            this.resumeCodeInput = '';
+            writeLocalDraft(this.getDraftSnapshot());
+            this.showToast(LABELS.successTitle, LABELS.applicationRestored, 'success');
+        } catch (error) {
+            logger.error('resumeFromCode', error);
+            this.showToast(LABELS.errorTitle, getErrorMessage(error), 'error');
+        } finally {
+            this.isResuming = false;
+        }
+    }
+
+    /**
+     * Snapshot of everything needed to restore the form
+     */
+    getDraftSnapshot() {
+        return {
+            resumeCode: this.resumeCode,
+            currentStep: this.currentStep,
+            primaryApplicant: this.primaryApplicant,
+            familyMembers: this.familyMembers,
+            currentMember: this.currentMember,
+            householdInfo: this.householdInfo,
+            documents: this.documents,
+            startedAt: this.startedAt
+        };
+    }
+
+    /**
+     * Restore the form from a draft snapshot
+     */
+    applyDraft(draft) {
+        this.resumeCode = draft.resumeCode;
+        this.primaryApplicant = { ...this.getEmptyApplicant(), ...draft.primaryApplicant };
+        this.familyMembers = draft.familyMembers || [];
+        this.currentMember = { ...this.getEmptyMember(), ...draft.currentMember };
+        this.householdInfo = { ...this.getEmptyHouseholdInfo(), ...draft.householdInfo };
+        this.documents = draft.documents || [];
+        this.startedAt = draft.startedAt || this.startedAt;
+
+        // Fall back to the first step if the saved one no longer applies
+        const isKnownStep = this.visibleSteps.some(step => step.id === draft.currentStep);
+        this.currentStep = isKnownStep ? draft.currentStep : FIRST_STEP;
+    }
+
+    /**
+     * Save the draft locally right away and, once the applicant has a
+     * resume code, sync it to the server shortly after they stop typing
+     */
+    persistDraft() {
+        writeLocalDraft(this.getDraftSnapshot());
+
+        if (this.resumeCode) {
+            clearTimeout(this.draftSyncTimeout);
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            this.draftSyncTimeout = setTimeout(() => {
+                this.syncDraftToServer();
+            }, DRAFT_SYNC_DELAY_MS);
+        }
+    }
+
+    /**
+     * Save the draft to the server, picking up a new resume code if needed
+     */
+    async syncDraftToServer() {
+        clearTimeout(this.draftSyncTimeout);
+        this.isSavingDraft = true;
+
+        try {
+            this.resumeCode = await saveDraft({
+                draftJson: JSON.stringify(this.getDraftSnapshot()),
+                resumeCode: this.resumeCode,
+                sessionKey: getSessionKey()
+            });
+            this.lastDraftSavedAt = new Date().toISOString();
+            writeLocalDraft(this.getDraftSnapshot());
+            return true;
+        } catch (error) {
+            logger.error('syncDraftToServer', error);
+            this.showToast(LABELS.errorTitle, getErrorMessage(error), 'error');
+            return false;
+        } finally {
+            this.isSavingDraft = false;
+        }
+    }
+
+    /**
+     * Forget the draft in this browser
+     */
+    clearDraft() {
+        clearTimeout(this.draftSyncTimeout);
+        clearLocalDraft();
+        this.resumeCode = undefined;
+        this.showResumeCode = false;
+        this.lastDraftSavedAt = undefined;
+    }
+
+    /**
+     * Get empty primary applicant object
+     */
+    getEmptyApplicant() {
+        return {
             firstName: '',
             lastName: '',
             email: '',
@@ -243,18 +1168,21 @@ export default class EnhancedFosterApplicationForm extends LightningElement {
             postalCode: '',
             applicationType: ''
         };
-        this.familyMembers = [];
-        this.currentMember = this.getEmptyMember();
-        this.householdInfo = {
+    }
+
+    /**
+     * Get empty household info object
+     */
+    getEmptyHouseholdInfo() {
+        return {
             homeType: '',
-            bedrooms: 0,
+            bedrooms: '',
             squareFootage: 0,
             hasPool: false,
             hasPets: false,
             petDetails: '',
             smoking: false
         };
-        this.errorMessage = '';
     }
 
     /**
@@ -275,7 +1203,14 @@ export default class EnhancedFosterApplicationForm extends LightningElement {
     }
 
     /**
-     * Show toast
+     * Read a message out to screen readers
+     */
+    announce(message, politeness) {
+        this.template.querySelector('c-live-announcer')?.announce(message, politeness);
+    }
+
+    /**
+     * Show toast, also read out by screen readers
      */
     showToast(title, message, variant) {
         this.dispatchEvent(
@@ -285,5 +1220,6 @@ export default class EnhancedFosterApplicationForm extends LightningElement {
                 variant: variant
             })
         );
+        this.announce(`${title}: ${message}`, variant === 'error' ? 'assertive' : 'polite');
     }
 }
\ No newline at end of file
@@ -0,0 +1,342 @@
+/**
+ * Text shown on the public application form.
+ *
+ * Every string comes from a FosterApp_ custom label so it can be translated in Translation Workbench;
+ * the Spanish translations live in translations/es.translation-meta.xml. ApplicationValidator,
+ * GuestApplicationController and ApplicationDocumentService use the same labels for the messages
+ * they return, so client and server errors read the same in either language.
+ *
+ * Labels are resolved in the site's language when the page loads. The language switcher reloads
+ * the page with ?language= and the form restores the applicant's local draft afterwards.
+ */
+import LANG from '@salesforce/i18n/lang';
+import title from '@salesforce/label/c.FosterApp_Title';
+import language from '@salesforce/label/c.FosterApp_Language';
+import submittedMessage from '@salesforce/label/c.FosterApp_SubmittedMessage';
+import possibleDuplicate from '@salesforce/label/c.FosterApp_PossibleDuplicate';
+import submitAnother from '@salesforce/label/c.FosterApp_SubmitAnother';
+import restoring from '@salesforce/label/c.FosterApp_Restoring';
+import draftSavedHeading from '@salesforce/label/c.FosterApp_DraftSavedHeading';
+import resumeCodeIntro from '@salesforce/label/c.FosterApp_ResumeCodeIntro';
+import resumeCodeHelp from '@salesforce/label/c.FosterApp_ResumeCodeHelp';
+import close from '@salesforce/label/c.FosterApp_Close';
+import emailMeALink from '@salesforce/label/c.FosterApp_EmailMeALink';
+import alreadyStarted from '@salesforce/label/c.FosterApp_AlreadyStarted';
+import resumeCode from '@salesforce/label/c.FosterApp_ResumeCode';
+import resume from '@salesforce/label/c.FosterApp_Resume';
+import caseworkerApplication from '@salesforce/label/c.FosterApp_CaseworkerApplication';
+import primaryApplicantInformation from '@salesforce/label/c.FosterApp_PrimaryApplicantInformation';
+import applicationType from '@salesforce/label/c.FosterApp_ApplicationType';
+import selectType from '@salesforce/label/c.FosterApp_SelectType';
+import firstName from '@salesforce/label/c.FosterApp_FirstName';
+import lastName from '@salesforce/label/c.FosterApp_LastName';
+import email from '@salesforce/label/c.FosterApp_Email';
+import phone from '@salesforce/label/c.FosterApp_Phone';
+import company from '@salesforce/label/c.FosterApp_Company';
+import address from '@salesforce/label/c.FosterApp_Address';
+import street from '@salesforce/label/c.FosterApp_Street';
+import city from '@salesforce/label/c.FosterApp_City';
+import state from '@salesforce/label/c.FosterApp_State';
+import postalCode from '@salesforce/label/c.FosterApp_PostalCode';
+import caseworkerBasicInfo from '@salesforce/label/c.FosterApp_CaseworkerBasicInfo';
+import familyMembers from '@salesforce/label/c.FosterApp_FamilyMembers';
+import familyMembersIntro from '@salesforce/label/c.FosterApp_FamilyMembersIntro';
+import editMember from '@salesforce/label/c.FosterApp_EditMember';
+import removeMember from '@salesforce/label/c.FosterApp_RemoveMember';
+import addFamilyMember from '@salesforce/label/c.FosterApp_AddFamilyMember';
+import birthDate from '@salesforce/label/c.FosterApp_BirthDate';
+import relationship from '@salesforce/label/c.FosterApp_Relationship';
+import selectRelationship from '@salesforce/label/c.FosterApp_SelectRelationship';
+import employmentOptional from '@salesforce/label/c.FosterApp_EmploymentOptional';
+import employerName from '@salesforce/label/c.FosterApp_EmployerName';
+import jobTitle from '@salesforce/label/c.FosterApp_JobTitle';
+import monthlyIncome from '@salesforce/label/c.FosterApp_MonthlyIncome';
+import addToFamily from '@salesforce/label/c.FosterApp_AddToFamily';
+import householdInformation from '@salesforce/label/c.FosterApp_HouseholdInformation';
+import homeType from '@salesforce/label/c.FosterApp_HomeType';
+import bedrooms from '@salesforce/label/c.FosterApp_Bedrooms';
+import squareFootage from '@salesforce/label/c.FosterApp_SquareFootage';
+import hasPool from '@salesforce/label/c.FosterApp_HasPool';
+import hasPets from '@salesforce/label/c.FosterApp_HasPets';
+import petDetails from '@salesforce/label/c.FosterApp_PetDetails';
+import smoking from '@salesforce/label/c.FosterApp_Smoking';
+import supportingDocuments from '@salesforce/label/c.FosterApp_SupportingDocuments';
+import documentsIntro from '@salesforce/label/c.FosterApp_DocumentsIntro';
+import required from '@salesforce/label/c.FosterApp_Required';
+import uploading from '@salesforce/label/c.FosterApp_Uploading';
+import removeFile from '@salesforce/label/c.FosterApp_RemoveFile';
+import uploadFile from '@salesforce/label/c.FosterApp_UploadFile';
+import reviewYourApplication from '@salesforce/label/c.FosterApp_ReviewYourApplication';
+import fixBeforeSubmitting from '@salesforce/label/c.FosterApp_FixBeforeSubmitting';
+import caseworkerInformation from '@salesforce/label/c.FosterApp_CaseworkerInformation';
+import primaryApplicant from '@salesforce/label/c.FosterApp_PrimaryApplicant';
+import name from '@salesforce/label/c.FosterApp_Name';
+import type from '@salesforce/label/c.FosterApp_Type';
+import noFamilyMembers from '@salesforce/label/c.FosterApp_NoFamilyMembers';
+import household from '@salesforce/label/c.FosterApp_Household';
+import bedroomsShort from '@salesforce/label/c.FosterApp_BedroomsShort';
+import noHouseholdInformation from '@salesforce/label/c.FosterApp_NoHouseholdInformation';
+import documents from '@salesforce/label/c.FosterApp_Documents';
+import noDocuments from '@salesforce/label/c.FosterApp_NoDocuments';
+import caseworkerOnboardingNote from '@salesforce/label/c.FosterApp_CaseworkerOnboardingNote';
+import previous from '@salesforce/label/c.FosterApp_Previous';
+import next from '@salesforce/label/c.FosterApp_Next';
+import submitApplication from '@salesforce/label/c.FosterApp_SubmitApplication';
+import saveForLater from '@salesforce/label/c.FosterApp_SaveForLater';
+import draftSaved from '@salesforce/label/c.FosterApp_DraftSaved';
+import yes from '@salesforce/label/c.FosterApp_Yes';
+import no from '@salesforce/label/c.FosterApp_No';
+import fosterParent from '@salesforce/label/c.FosterApp_FosterParent';
+import caseworker from '@salesforce/label/c.FosterApp_Caseworker';
+import spouse from '@salesforce/label/c.FosterApp_Spouse';
+import partner from '@salesforce/label/c.FosterApp_Partner';
+import adultChild from '@salesforce/label/c.FosterApp_AdultChild';
+import parent from '@salesforce/label/c.FosterApp_Parent';
+import sibling from '@salesforce/label/c.FosterApp_Sibling';
+import otherRelative from '@salesforce/label/c.FosterApp_OtherRelative';
+import other from '@salesforce/label/c.FosterApp_Other';
+import ownHome from '@salesforce/label/c.FosterApp_OwnHome';
+import rentHome from '@salesforce/label/c.FosterApp_RentHome';
+import withFamily from '@salesforce/label/c.FosterApp_WithFamily';
+import errorTitle from '@salesforce/label/c.FosterApp_ErrorTitle';
+import successTitle from '@salesforce/label/c.FosterApp_SuccessTitle';
+import correctHighlightedFields from '@salesforce/label/c.FosterApp_CorrectHighlightedFields';
+import familyMemberLimit from '@salesforce/label/c.FosterApp_FamilyMemberLimit';
+import familyMemberAdded from '@salesforce/label/c.FosterApp_FamilyMemberAdded';
+import finishCurrentMember from '@salesforce/label/c.FosterApp_FinishCurrentMember';
+import familyMemberRemoved from '@salesforce/label/c.FosterApp_FamilyMemberRemoved';
+import fileUploaded from '@salesforce/label/c.FosterApp_FileUploaded';
+import fixErrorsAbove from '@salesforce/label/c.FosterApp_FixErrorsAbove';
+import applicationSubmitted from '@salesforce/label/c.FosterApp_ApplicationSubmitted';
+import errorSubmitting from '@salesforce/label/c.FosterApp_ErrorSubmitting';
+import errorSubmittingDetail from '@salesforce/label/c.FosterApp_ErrorSubmittingDetail';
+import applicationSaved from '@salesforce/label/c.FosterApp_ApplicationSaved';
+import resumeLinkSent from '@salesforce/label/c.FosterApp_ResumeLinkSent';
+import enterResumeCode from '@salesforce/label/c.FosterApp_EnterResumeCode';
+import applicationRestored from '@salesforce/label/c.FosterApp_ApplicationRestored';
+import completeThisField from '@salesforce/label/c.FosterApp_CompleteThisField';
+import maxLength from '@salesforce/label/c.FosterApp_MaxLength';
+import invalidEmail from '@salesforce/label/c.FosterApp_InvalidEmail';
+import invalidPhone from '@salesforce/label/c.FosterApp_InvalidPhone';
+import invalidPostalCode from '@salesforce/label/c.FosterApp_InvalidPostalCode';
+import dateInFuture from '@salesforce/label/c.FosterApp_DateInFuture';
+import invalidDate from '@salesforce/label/c.FosterApp_InvalidDate';
+import enterNumber from '@salesforce/label/c.FosterApp_EnterNumber';
+import minValue from '@salesforce/label/c.FosterApp_MinValue';
+import maxValue from '@salesforce/label/c.FosterApp_MaxValue';
+import maxFamilyMembers from '@salesforce/label/c.FosterApp_MaxFamilyMembers';
+import familyMemberFallback from '@salesforce/label/c.FosterApp_FamilyMemberFallback';
+import invalidFileType from '@salesforce/label/c.FosterApp_InvalidFileType';
+import fileTooLarge from '@salesforce/label/c.FosterApp_FileTooLarge';
+import uploadThisDocument from '@salesforce/label/c.FosterApp_UploadThisDocument';
+import maxFilesPerDocument from '@salesforce/label/c.FosterApp_MaxFilesPerDocument';
+import photoId from '@salesforce/label/c.FosterApp_PhotoId';
+import photoIdDescription from '@salesforce/label/c.FosterApp_PhotoIdDescription';
+import proofOfIncome from '@salesforce/label/c.FosterApp_ProofOfIncome';
+import proofOfIncomeDescription from '@salesforce/label/c.FosterApp_ProofOfIncomeDescription';
+import memberProofOfIncomeDescription from '@salesforce/label/c.FosterApp_MemberProofOfIncomeDescription';
+import referenceLetters from '@salesforce/label/c.FosterApp_ReferenceLetters';
+import referenceLettersDescription from '@salesforce/label/c.FosterApp_ReferenceLettersDescription';
+import professionalLicense from '@salesforce/label/c.FosterApp_ProfessionalLicense';
+import professionalLicenseDescription from '@salesforce/label/c.FosterApp_ProfessionalLicenseDescription';
+import stepApplicantInformation from '@salesforce/label/c.FosterApp_StepApplicantInformation';
+import stepHousehold from '@salesforce/label/c.FosterApp_StepHousehold';
+import stepReview from '@salesforce/label/c.FosterApp_StepReview';
+import stepAnnouncement from '@salesforce/label/c.FosterApp_StepAnnouncement';
+import referenceNumber from '@salesforce/label/c.FosterApp_ReferenceNumber';
+import submissionRetrying from '@salesforce/label/c.FosterApp_SubmissionRetrying';
+import submissionUnconfirmed from '@salesforce/label/c.FosterApp_SubmissionUnconfirmed';
+import finishingSubmission from '@salesforce/label/c.FosterApp_FinishingSubmission';
+import statusTrackingHint from '@salesforce/label/c.FosterApp_StatusTrackingHint';
+import honeypotField from '@salesforce/label/c.FosterApp_HoneypotField';
+import preScreenHeading from '@salesforce/label/c.FosterApp_PreScreenHeading';
+import preScreenIntro from '@salesforce/label/c.FosterApp_PreScreenIntro';
+import preScreenClear from '@salesforce/label/c.FosterApp_PreScreenClear';
+import preScreenStop from '@salesforce/label/c.FosterApp_PreScreenStop';
+import preScreenWarning from '@salesforce/label/c.FosterApp_PreScreenWarning';
+import preScreenSmoking from '@salesforce/label/c.FosterApp_PreScreenSmoking';
+import preScreenBedrooms from '@salesforce/label/c.FosterApp_PreScreenBedrooms';
+import preScreenNoIncome from '@salesforce/label/c.FosterApp_PreScreenNoIncome';
+import preScreenPool from '@salesforce/label/c.FosterApp_PreScreenPool';
+import preScreenPets from '@salesforce/label/c.FosterApp_PreScreenPets';
+import householdSize from '@salesforce/label/c.FosterApp_HouseholdSize';
+import totalMonthlyIncome from '@salesforce/label/c.FosterApp_TotalMonthlyIncome';
+import personsPerBedroom from '@salesforce/label/c.FosterApp_PersonsPerBedroom';
+
+export const LABELS = {
+    title,
+    language,
+    submittedMessage,
+    possibleDuplicate,
+    submitAnother,
+    restoring,
+    draftSavedHeading,
+    resumeCodeIntro,
+    resumeCodeHelp,
+    close,
+    emailMeALink,
+    alreadyStarted,
+    resumeCode,
+    resume,
+    caseworkerApplication,
+    primaryApplicantInformation,
+    applicationType,
+    selectType,
+    firstName,
+    lastName,
+    email,
+    phone,
+    company,
+    address,
+    street,
+    city,
+    state,
+    postalCode,
+    caseworkerBasicInfo,
+    familyMembers,
+    familyMembersIntro,
+    editMember,
+    removeMember,
+    addFamilyMember,
+    birthDate,
+    relationship,
+    selectRelationship,
+    employmentOptional,
+    employerName,
+    jobTitle,
+    monthlyIncome,
+    addToFamily,
+    householdInformation,
+    homeType,
+    bedrooms,
+    squareFootage,
+    hasPool,
+    hasPets,
+    petDetails,
+    smoking,
+    supportingDocuments,
+    documentsIntro,
+    required,
+    uploading,
+    removeFile,
+    uploadFile,
+    reviewYourApplication,
+    fixBeforeSubmitting,
+    caseworkerInformation,
+    primaryApplicant,
+    name,
+    type,
+    noFamilyMembers,
+    household,
+    bedroomsShort,
+    noHouseholdInformation,
+    documents,
+    noDocuments,
+    caseworkerOnboardingNote,
+    previous,
+    next,
+    submitApplication,
+    saveForLater,
+    draftSaved,
+    yes,
+    no,
+    fosterParent,
+    caseworker,
+    spouse,
+    partner,
+    adultChild,
+    parent,
+    sibling,
+    otherRelative,
+    other,
+    ownHome,
+    rentHome,
+    withFamily,
+    errorTitle,
+    successTitle,
+    correctHighlightedFields,
+    familyMemberLimit,
+    familyMemberAdded,
+    finishCurrentMember,
+    familyMemberRemoved,
+    fileUploaded,
+    fixErrorsAbove,
+    applicationSubmitted,
+    errorSubmitting,
+    errorSubmittingDetail,
+    applicationSaved,
+    resumeLinkSent,
+    enterResumeCode,
+    applicationRestored,
+    completeThisField,
+    maxLength,
+    invalidEmail,
+    invalidPhone,
+    invalidPostalCode,
+    dateInFuture,
+    invalidDate,
+    enterNumber,
+    minValue,
+    maxValue,
+    maxFamilyMembers,
+    familyMemberFallback,
+    invalidFileType,
+    fileTooLarge,
+    uploadThisDocument,
+    maxFilesPerDocument,
+    photoId,
+    photoIdDescription,
+    proofOfIncome,
+    proofOfIncomeDescription,
+    memberProofOfIncomeDescription,
+    referenceLetters,
+    referenceLettersDescription,
+    professionalLicense,
+    professionalLicenseDescription,
+    stepApplicantInformation,
+    stepHousehold,
+    stepReview,
+    stepAnnouncement,
+    referenceNumber,
+    submissionRetrying,
+    submissionUnconfirmed,
+    finishingSubmission,
+    statusTrackingHint,
+    honeypotField,
+    preScreenHeading,
+    preScreenIntro,
+    preScreenClear,
+    preScreenStop,
+    preScreenWarning,
+    preScreenSmoking,
+    preScreenBedrooms,
+    preScreenNoIncome,
+    preScreenPool,
+    preScreenPets,
+    householdSize,
+    totalMonthlyIncome,
+    personsPerBedroom
+};
+
+// Languages offered by the switcher, as Salesforce language codes; names are shown in their own language
+export const LANGUAGES = [
+    { label: 'English', value: 'en_US' },
+    { label: 'Español', value: 'es' }
+];
+
+/**
+ * Language the page was loaded in, as one of the LANGUAGES values
+ */
+export function getCurrentLanguage() {
+    const code = (LANG || '').toLowerCase();
+    return code.startsWith('es') ? 'es' : 'en_US';
+}
+
+/**
+ * Fill a label's {0}, {1}... placeholders
+ */
+export function formatLabel(label, ...values) {
+    return String(label).replace(/\{(\d+)\}/g, (placeholder, index) => (
+        values[index] === undefined ? placeholder : String(values[index])
+    ));
+}
@@ -0,0 +1,115 @@
+/**
+ * Licensing pre-screen for foster parent applications.
+ *
+ * Works out the household size, total monthly income and people per bedroom from the family and
+ * household steps, then checks the household against the rules below. A rule declares:
+ * - id: identifies the finding, and is what caseworkers see saved with the application
+ * - severity: 'stop' findings block submitting; 'warning' findings are for the applicant's information
+ * - path: the field the finding is about, so the review step can link to it
+ * - applies: a function (facts) => boolean
+ * - message: a function (facts) => string
+ *
+ * ApplicationPreScreen applies the same rules on the server; keep them in step.
+ */
+import { LABELS, formatLabel } from './labels';
+
+// Including a child placed with the family
+export const MAX_PERSONS_PER_BEDROOM = 2;
+export const SEVERITY_STOP = 'stop';
+export const SEVERITY_WARNING = 'warning';
+
+const FOSTER_PARENT = 'Foster Parent';
+
+export const PRE_SCREEN_RULES = [
+    {
+        id: 'smoking',
+        severity: SEVERITY_STOP,
+        path: 'householdInfo.smoking',
+        applies: (facts) => facts.smoking,
+        message: () => LABELS.preScreenSmoking
+    },
+    {
+        id: 'bedrooms',
+        severity: SEVERITY_STOP,
+        path: 'householdInfo.bedrooms',
+        applies: (facts) => facts.bedrooms !== null && facts.householdSize + 1 > facts.bedrooms * MAX_PERSONS_PER_BEDROOM,
+        message: () => formatLabel(LABELS.preScreenBedrooms, MAX_PERSONS_PER_BEDROOM)
+    },
+    {
+        id: 'income',
+        severity: SEVERITY_WARNING,
+        path: 'familyMembers',
+        applies: (facts) => facts.totalMonthlyIncome === 0,
+        message: () => LABELS.preScreenNoIncome
+    },
+    {
+        id: 'pool',
+        severity: SEVERITY_WARNING,
+        path: 'householdInfo.hasPool',
+        applies: (facts) => facts.hasPool,
+        message: () => LABELS.preScreenPool
+    },
+    {
+        id: 'pets',
+        severity: SEVERITY_WARNING,
+        path: 'householdInfo.hasPets',
+        applies: (facts) => facts.hasPets,
+        message: () => LABELS.preScreenPets
+    }
+];
+
+/**
+ * A number typed into an input, or null when it is empty or not a number
+ */
+function toNumber(value) {
+    if (value === '' || value === null || value === undefined) {
+        return null;
+    }
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Household size (the applicant and their family members), total monthly income and people per bedroom
+ */
+export function getHouseholdFacts(application) {
+    const members = application.familyMembers || [];
+    const household = application.householdInfo || {};
+    const householdSize = 1 + members.length;
+    const bedrooms = toNumber(household.bedrooms);
+
+    return {
+        householdSize,
+        totalMonthlyIncome: members.reduce((total, member) => total + (toNumber(member.monthlyIncome) || 0), 0),
+        bedrooms,
+        personsPerBedroom: bedrooms > 0 ? Math.round((householdSize / bedrooms) * 100) / 100 : null,
+        hasPool: household.hasPool === true,
+        hasPets: household.hasPets === true,
+        smoking: household.smoking === true
+    };
+}
+
+/**
+ * The pre-screen for an application: its household facts, the findings that apply and whether
+ * any of them stops it from being submitted. Null for applications without a household.
+ */
+export function evaluatePreScreen(application) {
+    if (application.primaryApplicant?.applicationType !== FOSTER_PARENT) {
+        return null;
+    }
+
+    const facts = getHouseholdFacts(application);
+    const findings = PRE_SCREEN_RULES.filter((rule) => rule.applies(facts)).map((rule) => ({
+        id: rule.id,
+        severity: rule.severity,
+        path: rule.path,
+        message: rule.message(facts),
+        isStop: rule.severity === SEVERITY_STOP
+    }));
+
+    return {
+        ...facts,
+        findings,
+        hasStops: findings.some((finding) => finding.isStop)
+    };
+}
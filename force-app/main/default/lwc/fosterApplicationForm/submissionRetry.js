@@ -0,0 +1,52 @@
+/**
+ * Safe retries for the final submit.
+ *
+ * Every submission carries a submissionKey that GuestApplicationController.submitApplication
+ * deduplicates on, so an attempt repeated after a timeout or a double click returns the Lead
+ * created by the first one rather than creating another.
+ */
+
+// Wait before each retry; doubling gives a struggling server or connection time to recover
+export const RETRY_DELAYS_MS = [1000, 2000, 4000];
+
+function wait(ms) {
+    return new Promise(resolve => {
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * A random key identifying one submission, as a UUID
+ */
+export function createSubmissionKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, character => {
+        const random = Math.floor(Math.random() * 16);
+        return (character === 'x' ? random : (random % 4) + 8).toString(16);
+    });
+}
+
+/**
+ * Run an action, running it again after each delay while it fails with a retryable error
+ * onRetry(attemptNumber, error) is called before each retry
+ */
+export async function retryWithBackoff(action, { shouldRetry, onRetry, delays = RETRY_DELAYS_MS }) {
+    const attempt = async (retryCount) => {
+        try {
+            return await action();
+        } catch (error) {
+            if (retryCount >= delays.length || !shouldRetry(error)) {
+                throw error;
+            }
+            if (onRetry) {
+                onRetry(retryCount + 1, error);
+            }
+            await wait(delays[retryCount]);
+            return attempt(retryCount + 1);
+        }
+    };
+    return attempt(0);
+}
@@ -0,0 +1,214 @@
+/**
+ * Field-level validation rules for the foster application.
+ *
+ * Rules are keyed by field name within each part of the application. A rule can declare:
+ * - label: field label used in the error summary
+ * - required: true, or a function (record) => boolean for conditional requirements
+ * - format: 'email' | 'phone' | 'postalCode'
+ * - pastDate: the date must not be in the future
+ * - min / max: numeric range
+ * - maxLength: maximum text length
+ *
+ * GuestApplicationController enforces the same rules on the server; keep the two in step.
+ * Labels and messages are custom labels (see labels.js) shared with ApplicationValidator.
+ */
+import { LABELS, formatLabel } from './labels';
+
+export const MAX_FAMILY_MEMBERS = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^\+?[0-9\s().-]+$/;
+const POSTAL_CODE_PATTERN = /^\d{5}(-\d{4})?$/;
+const EARLIEST_BIRTHDATE = '1900-01-01';
+
+const FORMAT_MESSAGES = {
+    email: LABELS.invalidEmail,
+    phone: LABELS.invalidPhone,
+    postalCode: LABELS.invalidPostalCode
+};
+
+export const APPLICANT_RULES = {
+    applicationType: { label: LABELS.applicationType, required: true },
+    firstName: { label: LABELS.firstName, required: true, maxLength: 40 },
+    lastName: { label: LABELS.lastName, required: true, maxLength: 80 },
+    email: { label: LABELS.email, required: true, format: 'email', maxLength: 80 },
+    phone: { label: LABELS.phone, required: true, format: 'phone' },
+    company: { label: LABELS.company, maxLength: 255 },
+    street: { label: LABELS.street, maxLength: 255 },
+    city: { label: LABELS.city, maxLength: 40 },
+    state: { label: LABELS.state, maxLength: 80 },
+    postalCode: { label: LABELS.postalCode, format: 'postalCode' }
+};
+
+export const MEMBER_RULES = {
+    firstName: { label: LABELS.firstName, required: true, maxLength: 40 },
+    lastName: { label: LABELS.lastName, required: true, maxLength: 80 },
+    email: { label: LABELS.email, format: 'email', maxLength: 80 },
+    phone: { label: LABELS.phone, format: 'phone' },
+    birthdate: { label: LABELS.birthDate, pastDate: true },
+    employerName: { label: LABELS.employerName, maxLength: 255 },
+    jobTitle: { label: LABELS.jobTitle, maxLength: 255 },
+    monthlyIncome: { label: LABELS.monthlyIncome, min: 0, max: 1000000 }
+};
+
+export const HOUSEHOLD_RULES = {
+    bedrooms: { label: LABELS.bedrooms, min: 0, max: 50 },
+    squareFootage: { label: LABELS.squareFootage, min: 0, max: 100000 },
+    petDetails: {
+        label: LABELS.petDetails,
+        required: (household) => household.hasPets === true,
+        maxLength: 1000
+    }
+};
+
+// Which rule set applies to each part of the application
+const RULES_BY_SECTION = {
+    primaryApplicant: APPLICANT_RULES,
+    familyMembers: MEMBER_RULES,
+    currentMember: MEMBER_RULES,
+    householdInfo: HOUSEHOLD_RULES
+};
+
+function isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Today's date in the browser's time zone, as YYYY-MM-DD
+ */
+export function todayIsoDate() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Check one value against a rule; returns an error message or null
+ */
+export function validateValue(rule, value, record = {}) {
+    if (!rule) {
+        return null;
+    }
+
+    const required = typeof rule.required === 'function' ? rule.required(record) : rule.required;
+    if (isBlank(value)) {
+        return required ? LABELS.completeThisField : null;
+    }
+
+    const text = String(value).trim();
+
+    if (rule.maxLength && text.length > rule.maxLength) {
+        return formatLabel(LABELS.maxLength, rule.maxLength);
+    }
+
+    if (rule.format === 'email' && !EMAIL_PATTERN.test(text)) {
+        return FORMAT_MESSAGES.email;
+    }
+
+    if (rule.format === 'phone') {
+        const digits = text.replace(/\D/g, '');
+        if (!PHONE_PATTERN.test(text) || digits.length < 10 || digits.length > 15) {
+            return FORMAT_MESSAGES.phone;
+        }
+    }
+
+    if (rule.format === 'postalCode' && !POSTAL_CODE_PATTERN.test(text)) {
+        return FORMAT_MESSAGES.postalCode;
+    }
+
+    if (rule.pastDate) {
+        if (text > todayIsoDate()) {
+            return LABELS.dateInFuture;
+        }
+        if (text < EARLIEST_BIRTHDATE) {
+            return LABELS.invalidDate;
+        }
+    }
+
+    if (rule.min !== undefined || rule.max !== undefined) {
+        const number = Number(text);
+        if (Number.isNaN(number)) {
+            return LABELS.enterNumber;
+        }
+        if (rule.min !== undefined && number < rule.min) {
+            return formatLabel(LABELS.minValue, rule.min);
+        }
+        if (rule.max !== undefined && number > rule.max) {
+            return formatLabel(LABELS.maxValue, rule.max);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate every ruled field on a record; returns [{ field, label, message }]
+ */
+export function validateRecord(rules, record) {
+    return Object.keys(rules)
+        .map((field) => ({
+            field,
+            label: rules[field].label,
+            message: validateValue(rules[field], record[field], record)
+        }))
+        .filter((error) => error.message);
+}
+
+/**
+ * Look up the rule for a field path such as 'primaryApplicant.email'
+ * or 'familyMembers[2].birthdate'
+ */
+export function getRuleForPath(path) {
+    const match = /^(\w+)(?:\[\d+\])?\.(\w+)$/.exec(path || '');
+    if (!match) {
+        return null;
+    }
+    const rules = RULES_BY_SECTION[match[1]];
+    return rules ? rules[match[2]] : null;
+}
+
+/**
+ * Validate the whole application; returns [{ path, label, message }]
+ * Family and household data only apply to foster parent applications.
+ */
+export function validateApplication(application, { includeFamily = true } = {}) {
+    const errors = validateRecord(APPLICANT_RULES, application.primaryApplicant).map((error) => ({
+        path: `primaryApplicant.${error.field}`,
+        label: error.label,
+        message: error.message
+    }));
+
+    if (!includeFamily) {
+        return errors;
+    }
+
+    const members = application.familyMembers || [];
+    if (members.length > MAX_FAMILY_MEMBERS) {
+        errors.push({
+            path: 'familyMembers',
+            label: LABELS.familyMembers,
+            message: formatLabel(LABELS.maxFamilyMembers, MAX_FAMILY_MEMBERS)
+        });
+    }
+
+    members.forEach((member, index) => {
+        validateRecord(MEMBER_RULES, member).forEach((error) => {
+            errors.push({
+                path: `familyMembers[${index}].${error.field}`,
+                label: `${member.firstName || LABELS.familyMemberFallback} ${member.lastName || ''}`.trim() + ` - ${error.label}`,
+                message: error.message
+            });
+        });
+    });
+
+    validateRecord(HOUSEHOLD_RULES, application.householdInfo || {}).forEach((error) => {
+        errors.push({
+            path: `householdInfo.${error.field}`,
+            label: error.label,
+            message: error.message
+        });
+    });
+
+    return errors;
+}
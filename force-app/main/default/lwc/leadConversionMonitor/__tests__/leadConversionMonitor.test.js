@@ -0,0 +1,80 @@
+import { createElement } from '@lwc/engine-dom';
+import LeadConversionMonitor from 'c/leadConversionMonitor';
+import getConversionIssues from '@salesforce/apex/LeadConversionMonitorController.getConversionIssues';
+import retryConversionStage from '@salesforce/apex/LeadConversionMonitorController.retryConversionStage';
+
+jest.mock(
+    '@salesforce/apex/LeadConversionMonitorController.getConversionIssues',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+jest.mock(
+    '@salesforce/apex/LeadConversionMonitorController.retryConversionStage',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const CONVERSIONS = [
+    {
+        leadId: '00Q000000000001AAA',
+        leadName: 'Dana Reyes',
+        applicationType: 'Foster Parent',
+        accountId: '001000000000001AAA',
+        accountName: 'Reyes Household',
+        stages: [
+            { logId: 'a0A000000000001AAA', stage: 'Conversion', status: 'Succeeded', attempts: 1, recordId: '001000000000001AAA', canRetry: false },
+            { logId: 'a0A000000000002AAA', stage: 'Portal User', status: 'Failed', attempts: 1, errorMessage: 'Duplicate nickname', canRetry: true },
+            { logId: 'a0A000000000003AAA', stage: 'Welcome Email', status: 'Pending', attempts: 0, errorMessage: 'Waiting for Portal User', canRetry: false }
+        ]
+    }
+];
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
+
+describe('c-lead-conversion-monitor', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('lists every stage and offers a retry only for failed ones', async () => {
+        const element = createElement('c-lead-conversion-monitor', { is: LeadConversionMonitor });
+        document.body.appendChild(element);
+
+        getConversionIssues.emit(CONVERSIONS);
+        await flushPromises();
+
+        const rows = element.shadowRoot.querySelectorAll('tr[data-stage]');
+        expect([...rows].map(row => row.dataset.stage)).toEqual(['Conversion', 'Portal User', 'Welcome Email']);
+
+        const retryButtons = element.shadowRoot.querySelectorAll('lightning-button');
+        expect(retryButtons.length).toBe(1);
+        expect(retryButtons[0].dataset.logId).toBe('a0A000000000002AAA');
+    });
+
+    it('retries the chosen stage', async () => {
+        retryConversionStage.mockResolvedValue({ logId: 'a0A000000000002AAA', stage: 'Portal User', status: 'Succeeded' });
+        const element = createElement('c-lead-conversion-monitor', { is: LeadConversionMonitor });
+        document.body.appendChild(element);
+
+        getConversionIssues.emit(CONVERSIONS);
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-button').click();
+        await flushPromises();
+
+        expect(retryConversionStage).toHaveBeenCalledWith({ logId: 'a0A000000000002AAA' });
+    });
+});
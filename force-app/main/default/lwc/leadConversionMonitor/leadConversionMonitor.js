@@ -0,0 +1,118 @@
+import { LightningElement, track, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import getConversionIssues from '@salesforce/apex/LeadConversionMonitorController.getConversionIssues';
+import retryConversionStage from '@salesforce/apex/LeadConversionMonitorController.retryConversionStage';
+import { getErrorMessage } from 'c/errorUtils';
+
+const STATUS_CLASSES = {
+    Succeeded: 'slds-badge slds-theme_success',
+    Skipped: 'slds-badge',
+    Failed: 'slds-badge slds-theme_error',
+    Pending: 'slds-badge slds-theme_warning'
+};
+
+export default class LeadConversionMonitor extends LightningElement {
+    @track conversions = [];
+    @track isLoading = true;
+    @track errorMessage = '';
+    @track retryingLogId;
+
+    wiredConversionsResult;
+
+    /**
+     * Wire to get Leads whose conversion has a failed or pending stage
+     */
+    @wire(getConversionIssues)
+    wiredConversions(result) {
+        this.wiredConversionsResult = result;
+
+        if (result.data) {
+            this.conversions = result.data;
+            this.errorMessage = '';
+            this.isLoading = false;
+        } else if (result.error) {
+            this.errorMessage = 'Error loading lead conversions: ' + getErrorMessage(result.error);
+            this.isLoading = false;
+        }
+    }
+
+    get hasConversions() {
+        return this.conversions && this.conversions.length > 0;
+    }
+
+    get failedStageCount() {
+        return this.conversions.reduce(
+            (total, conversion) => total + conversion.stages.filter(stage => stage.status === 'Failed').length,
+            0
+        );
+    }
+
+    /**
+     * Conversions with display properties for each stage
+     */
+    get conversionRows() {
+        return this.conversions.map(conversion => ({
+            ...conversion,
+            leadLink: `/${conversion.leadId}`,
+            accountLink: conversion.accountId ? `/${conversion.accountId}` : null,
+            stages: conversion.stages.map(stage => ({
+                ...stage,
+                statusClass: STATUS_CLASSES[stage.status] || 'slds-badge',
+                recordLink: stage.recordId ? `/${stage.recordId}` : null,
+                retryLabel: `Retry ${stage.stage}`,
+                isRetrying: stage.logId === this.retryingLogId,
+                isRetryDisabled: Boolean(this.retryingLogId)
+            }))
+        }));
+    }
+
+    /**
+     * Retry one failed stage; later stages waiting on it run as well
+     */
+    async handleRetry(event) {
+        const { logId, stage } = event.currentTarget.dataset;
+        this.retryingLogId = logId;
+
+        try {
+            const result = await retryConversionStage({ logId });
+
+            if (result.status === 'Failed') {
+                this.showToast('Retry Failed', `${stage}: ${result.errorMessage}`, 'error');
+            } else {
+                this.showToast('Success', `${stage} ${result.status.toLowerCase()}`, 'success');
+            }
+
+            await refreshApex(this.wiredConversionsResult);
+        } catch (error) {
+            this.showToast('Error', getErrorMessage(error), 'error');
+        } finally {
+            this.retryingLogId = null;
+        }
+    }
+
+    /**
+     * Handle refresh button
+     */
+    async handleRefresh() {
+        this.isLoading = true;
+        try {
+            await refreshApex(this.wiredConversionsResult);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Show toast message
+     */
+    showToast(title, message, variant) {
+        this.dispatchEvent(
+            new ShowToastEvent({
+                title: title,
+                message: message,
+                variant: variant
+            })
+        );
+    }
+}
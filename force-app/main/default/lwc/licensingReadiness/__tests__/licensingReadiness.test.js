@@ -0,0 +1,93 @@
+import { createElement } from '@lwc/engine-dom';
+import LicensingReadiness from 'c/licensingReadiness';
+import getLicensingReadiness from '@salesforce/apex/LicensingReadinessService.getLicensingReadiness';
+
+jest.mock(
+    '@salesforce/apex/LicensingReadinessService.getLicensingReadiness',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return {
+            default: createApexTestWireAdapter(jest.fn())
+        };
+    },
+    { virtual: true }
+);
+
+const TRAINING_ITEM = {
+    key: 'Pre_Service_Training:003000000000001AAA',
+    requirement: 'Pre-service training',
+    appliesTo: 'Adult Member',
+    responsibleId: '003000000000001AAA',
+    responsibleName: 'Dana Reyes',
+    isBlocking: false,
+    isMet: false
+};
+
+const SAFETY_ITEM = {
+    key: 'Home_Safety_Inspection:003000000000001AAA',
+    requirement: 'Home safety inspection',
+    appliesTo: 'Household',
+    responsibleId: '003000000000001AAA',
+    responsibleName: 'Dana Reyes',
+    isBlocking: true,
+    isMet: false
+};
+
+const BACKGROUND_ITEM = {
+    key: 'Background_Check:003000000000001AAA',
+    requirement: 'Background check cleared',
+    appliesTo: 'Adult Member',
+    responsibleId: '003000000000001AAA',
+    responsibleName: 'Dana Reyes',
+    isBlocking: true,
+    isMet: true
+};
+
+const READINESS = {
+    percentComplete: 33,
+    totalChecks: 3,
+    completedChecks: 1,
+    blockingCount: 1,
+    adultMemberCount: 1,
+    hasHouseholdRecord: true,
+    isReady: false,
+    items: [BACKGROUND_ITEM, TRAINING_ITEM, SAFETY_ITEM],
+    missingItems: [TRAINING_ITEM, SAFETY_ITEM]
+};
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
+
+describe('c-licensing-readiness', () => {
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    it('shows the score and lists missing items with blocking items first', async () => {
+        const element = createElement('c-licensing-readiness', { is: LicensingReadiness });
+        element.accountId = '001000000000001AAA';
+        document.body.appendChild(element);
+
+        getLicensingReadiness.emit(READINESS);
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('lightning-progress-bar').value).toBe(33);
+        expect(element.shadowRoot.querySelector('.slds-badge').textContent).toBe('1 blocking item');
+
+        const items = element.shadowRoot.querySelectorAll('li');
+        expect(items.length).toBe(2);
+        expect(items[0].textContent).toContain('Home safety inspection');
+        expect(items[0].querySelector('lightning-badge').label).toBe('Blocking');
+        expect(items[1].textContent).toContain('Dana Reyes');
+
+        element.shadowRoot.querySelector('lightning-button').click();
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelectorAll('li').length).toBe(3);
+    });
+});
@@ -0,0 +1,108 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { refreshApex } from '@salesforce/apex';
+import getLicensingReadiness from '@salesforce/apex/LicensingReadinessService.getLicensingReadiness';
+import { getErrorMessage } from 'c/errorUtils';
+
+export default class LicensingReadiness extends LightningElement {
+    @api accountId;
+    @track readiness;
+    @track errorMessage = '';
+    @track showAllChecks = false;
+
+    wiredReadinessResult;
+
+    /**
+     * Wire to get the family's readiness against the configured licensing requirements
+     */
+    @wire(getLicensingReadiness, { accountId: '$accountId' })
+    wiredReadiness(result) {
+        this.wiredReadinessResult = result;
+
+        if (result.data) {
+            this.readiness = result.data;
+            this.errorMessage = '';
+        } else if (result.error) {
+            this.readiness = undefined;
+            this.errorMessage = 'Error checking licensing readiness: ' + getErrorMessage(result.error);
+        }
+    }
+
+    /**
+     * Refresh after related records change, e.g. from the parent overview
+     */
+    @api
+    refresh() {
+        return refreshApex(this.wiredReadinessResult);
+    }
+
+    get hasRequirements() {
+        return this.readiness && this.readiness.totalChecks > 0;
+    }
+
+    get scoreLabel() {
+        return `${this.readiness.percentComplete}% complete`;
+    }
+
+    get checksLabel() {
+        return `${this.readiness.completedChecks} of ${this.readiness.totalChecks} checks met`;
+    }
+
+    get scoreVariant() {
+        if (this.readiness.isReady) {
+            return this.readiness.percentComplete === 100 ? 'base-autocomplete' : 'base';
+        }
+        return 'warning';
+    }
+
+    get statusLabel() {
+        if (this.readiness.adultMemberCount === 0) {
+            return 'No adult household members';
+        }
+        if (this.readiness.isReady) {
+            return 'Ready to license';
+        }
+        return this.readiness.blockingCount === 1 ?
+            '1 blocking item' :
+            `${this.readiness.blockingCount} blocking items`;
+    }
+
+    get statusClass() {
+        return this.readiness.isReady ?
+            'slds-badge slds-theme_success' :
+            'slds-badge slds-theme_error';
+    }
+
+    get hasMissingItems() {
+        return this.readiness.missingItems && this.readiness.missingItems.length > 0;
+    }
+
+    /**
+     * Missing items, blocking first, or every check when "Show all" is on
+     */
+    get displayedItems() {
+        const source = this.showAllChecks ? this.readiness.items : this.readiness.missingItems;
+
+        return [...(source || [])]
+            .sort((a, b) => Number(a.isMet) - Number(b.isMet) || Number(b.isBlocking) - Number(a.isBlocking))
+            .map(item => ({
+                ...item,
+                responsibleLink: item.responsibleId ? `/${item.responsibleId}` : null,
+                iconName: item.isMet ? 'utility:success' : item.isBlocking ? 'utility:error' : 'utility:warning',
+                iconVariant: item.isMet ? 'success' : item.isBlocking ? 'error' : 'warning',
+                iconText: item.isMet ? 'Met' : 'Missing',
+                classificationLabel: item.isBlocking ? 'Blocking' : 'Non-blocking'
+            }));
+    }
+
+    get toggleLabel() {
+        return this.showAllChecks ? 'Show missing only' : 'Show all checks';
+    }
+
+    handleToggleAllChecks() {
+        this.showAllChecks = !this.showAllChecks;
+    }
+
+    handleRefresh() {
+        this.refresh();
+    }
+}
@@ -0,0 +1,61 @@
+import { createElement } from '@lwc/engine-dom';
+import LiveAnnouncer from 'c/liveAnnouncer';
+
+// Helper function to wait until the microtask queue is empty
+async function flushPromises() {
+    return Promise.resolve();
+}
+
+describe('c-live-announcer', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        // The jsdom instance is shared across test cases in a single file so reset the DOM
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.useRealTimers();
+    });
+
+    it('writes polite and assertive messages to separate live regions', async () => {
+        const element = createElement('c-live-announcer', {
+            is: LiveAnnouncer
+        });
+        document.body.appendChild(element);
+
+        element.announce('Step 2 of 4: Household');
+        element.announce('Upload failed', 'assertive');
+        jest.runAllTimers();
+        await flushPromises();
+
+        const polite = element.shadowRoot.querySelector('[data-id="polite"]');
+        const assertive = element.shadowRoot.querySelector('[data-id="assertive"]');
+        expect(polite.getAttribute('aria-live')).toBe('polite');
+        expect(polite.textContent).toBe('Step 2 of 4: Household');
+        expect(assertive.getAttribute('aria-live')).toBe('assertive');
+        expect(assertive.textContent).toBe('Upload failed');
+    });
+
+    it('empties the region before repeating a message so it is read again', async () => {
+        const element = createElement('c-live-announcer', {
+            is: LiveAnnouncer
+        });
+        document.body.appendChild(element);
+        const polite = element.shadowRoot.querySelector('[data-id="polite"]');
+
+        element.announce('Draft saved');
+        jest.runAllTimers();
+        await flushPromises();
+        expect(polite.textContent).toBe('Draft saved');
+
+        element.announce('Draft saved');
+        await flushPromises();
+        expect(polite.textContent).toBe('');
+
+        jest.runAllTimers();
+        await flushPromises();
+        expect(polite.textContent).toBe('Draft saved');
+    });
+});
@@ -0,0 +1,39 @@
+import { LightningElement, api, track } from 'lwc';
+
+// Empty the region this long before writing, so a message repeated word for word is read again
+const ANNOUNCE_DELAY_MS = 100;
+
+/**
+ * Visually hidden live regions for screen reader announcements, such as a new form step or a
+ * toast, which may not be read out where the page shows it.
+ *
+ * Usage:
+ *   <c-live-announcer></c-live-announcer>
+ *   this.template.querySelector('c-live-announcer').announce('Step 2 of 4: Household');
+ *   this.template.querySelector('c-live-announcer').announce('Upload failed', 'assertive');
+ */
+export default class LiveAnnouncer extends LightningElement {
+    @track politeMessage = '';
+    @track assertiveMessage = '';
+
+    timeouts = {};
+
+    disconnectedCallback() {
+        Object.values(this.timeouts).forEach(timeout => clearTimeout(timeout));
+    }
+
+    /**
+     * Read a message out; assertive messages interrupt whatever is being read
+     */
+    @api
+    announce(message, politeness = 'polite') {
+        const key = politeness === 'assertive' ? 'assertiveMessage' : 'politeMessage';
+        this[key] = '';
+        clearTimeout(this.timeouts[key]);
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.timeouts[key] = setTimeout(() => {
+            this[key] = message || '';
+        }, ANNOUNCE_DELAY_MS);
+    }
+}
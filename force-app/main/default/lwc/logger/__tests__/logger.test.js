@@ -0,0 +1,115 @@
+jest.mock(
+    '@salesforce/apex/ClientLogController.getLoggingSettings',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/ClientLogController.logClientError',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+// Helper function to wait for async operations
+const flushPromises = () => new Promise(process.nextTick);
+
+// The logger caches its settings per page, so load a fresh copy for each test
+function loadLogger(loggingSettings) {
+    let modules;
+    jest.isolateModules(() => {
+        const getLoggingSettings = require('@salesforce/apex/ClientLogController.getLoggingSettings').default;
+        const logClientError = require('@salesforce/apex/ClientLogController.logClientError').default;
+        getLoggingSettings.mockResolvedValue(loggingSettings);
+        logClientError.mockResolvedValue(undefined);
+        modules = { logger: require('c/logger'), logClientError };
+    });
+    return modules;
+}
+
+describe('c-logger', () => {
+    let consoleError;
+    let consoleLog;
+
+    beforeEach(() => {
+        consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('redacts emails, phone numbers and sensitive keys but keeps record Ids and dates', () => {
+        const { logger } = loadLogger({ debugEnabled: false, reportLevel: 'ERROR' });
+
+        const result = logger.redact({
+            note: 'Call dana@example.org or (555) 123-4567, SSN 123-45-6789',
+            accountId: '001000000000001AAA',
+            submittedOn: '2026-10-19',
+            primaryApplicant: { firstName: 'Dana', birthdate: '1985-04-12', monthlyIncome: 4200 }
+        });
+
+        expect(result.note).toBe(`Call ${logger.REDACTED} or ${logger.REDACTED}, SSN ${logger.REDACTED}`);
+        expect(result.accountId).toBe('001000000000001AAA');
+        expect(result.submittedOn).toBe('2026-10-19');
+        expect(result.primaryApplicant).toEqual({
+            firstName: 'Dana',
+            birthdate: logger.REDACTED,
+            monthlyIncome: logger.REDACTED
+        });
+    });
+
+    it('reports errors to the server with personal information removed', async () => {
+        const { logger, logClientError } = loadLogger({ debugEnabled: false, reportLevel: 'ERROR' });
+
+        logger.createLogger('accountOverview').error(
+            'handleSaveCaseworker',
+            { status: 500, body: { message: 'No caseworker for dana@example.org', exceptionType: 'System.QueryException' } },
+            { accountId: '001000000000001AAA', email: 'dana@example.org' }
+        );
+        await flushPromises();
+
+        expect(logClientError).toHaveBeenCalledTimes(1);
+        const entry = JSON.parse(logClientError.mock.calls[0][0].entryJson);
+        expect(entry.level).toBe('ERROR');
+        expect(entry.component).toBe('accountOverview');
+        expect(entry.action).toBe('handleSaveCaseworker');
+        expect(entry.message).toBe(`No caseworker for ${logger.REDACTED}`);
+        expect(JSON.parse(entry.details)).toEqual({
+            status: 500,
+            exceptionType: 'System.QueryException',
+            accountId: '001000000000001AAA',
+            email: logger.REDACTED
+        });
+        // The server limits guest reports per browser session by this key
+        expect(entry.clientKey).toBe(window.sessionStorage.getItem('logger.clientKey'));
+        expect(entry.clientKey).toBeTruthy();
+        expect(consoleError).toHaveBeenCalled();
+    });
+
+    it('keeps debug messages quiet and unreported unless debug logging is switched on', async () => {
+        const quiet = loadLogger({ debugEnabled: false, reportLevel: 'ERROR' });
+        quiet.logger.createLogger('familyMemberManagement').debug('load', 'Loaded members', { count: 2 });
+        await flushPromises();
+
+        expect(consoleLog).not.toHaveBeenCalled();
+        expect(quiet.logClientError).not.toHaveBeenCalled();
+
+        const verbose = loadLogger({ debugEnabled: true, reportLevel: 'ERROR' });
+        verbose.logger.createLogger('familyMemberManagement').debug('load', 'Loaded members', { count: 2 });
+        await flushPromises();
+
+        expect(consoleLog).toHaveBeenCalledWith('[familyMemberManagement] load:', 'Loaded members', { count: 2 });
+        expect(verbose.logClientError).not.toHaveBeenCalled();
+    });
+
+    it('reports warnings when the report level is lowered', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const { logger, logClientError } = loadLogger({ debugEnabled: false, reportLevel: 'WARN' });
+
+        logger.createLogger('fosterApplicationForm').warn('deleteDocument', new Error('File not found'));
+        await flushPromises();
+
+        expect(logClientError).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(logClientError.mock.calls[0][0].entryJson).level).toBe('WARN');
+    });
+});
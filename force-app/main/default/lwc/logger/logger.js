@@ -0,0 +1,204 @@
+/**
+ * Shared client logging.
+ *
+ * Usage:
+ *   import { createLogger } from 'c/logger';
+ *   const logger = createLogger('accountOverview');
+ *   logger.debug('loadCaseworkers', 'Loaded caseworkers', { count: result.length });
+ *   logger.error('handleSaveCaseworker', error, { accountId: this.recordId });
+ *
+ * - Debug and info messages only reach the console when Client_Debug_Logging__c is switched on
+ *   in Foster_Application_Settings__c (org default, profile or user); it is off by default
+ * - Messages at or above Client_Log_Report_Level__c (ERROR by default) are sent to
+ *   ClientLogController and stored as Client_Error_Log__c records for support
+ * - Reports carry a key for the browser session, which ClientLogController limits guest reports by
+ * - Email addresses, phone numbers and SSNs are redacted, as are values under keys such as
+ *   email, phone, birthdate and income, before anything is printed or sent
+ */
+import getLoggingSettings from '@salesforce/apex/ClientLogController.getLoggingSettings';
+import logClientError from '@salesforce/apex/ClientLogController.logClientError';
+
+export const LEVELS = { DEBUG: 0, INFO: 1, WARN: 2, ERROR: 3 };
+
+export const REDACTED = '[REDACTED]';
+
+// Reports sent per page load, so a failure in a render loop cannot flood the log object
+const MAX_REPORTS = 20;
+const MAX_DEPTH = 5;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const SSN_PATTERN = /\b\d{3}-\d{2}-\d{4}\b/g;
+// Runs of digits and phone punctuation not touching letters, so record Ids and dates are kept
+const PHONE_CANDIDATE_PATTERN = /(?<![\w+(])\+?\(?\d[\d\s().-]{7,}\d(?!\w)/g;
+const SENSITIVE_KEY_PATTERN = /email|phone|ssn|birth|income|salary|password|base64/i;
+
+// Identifies this browser tab to the server, which limits how many reports one session can store
+const CLIENT_KEY_STORAGE_KEY = 'logger.clientKey';
+
+const DEFAULT_SETTINGS = { debugEnabled: false, reportLevel: 'ERROR' };
+
+let settings = DEFAULT_SETTINGS;
+let settingsRequest;
+let reportCount = 0;
+
+/**
+ * Load the logging settings once per page; failures keep the defaults
+ */
+function loadSettings() {
+    if (!settingsRequest) {
+        settingsRequest = Promise.resolve()
+            .then(() => getLoggingSettings())
+            .then((result) => {
+                if (result) {
+                    settings = { ...DEFAULT_SETTINGS, ...result };
+                }
+            })
+            .catch(() => {
+                settings = DEFAULT_SETTINGS;
+            });
+    }
+    return settingsRequest;
+}
+
+function redactString(text) {
+    return text
+        .replace(EMAIL_PATTERN, REDACTED)
+        .replace(SSN_PATTERN, REDACTED)
+        .replace(PHONE_CANDIDATE_PATTERN, (match) => {
+            const digitCount = match.replace(/\D/g, '').length;
+            return digitCount >= 10 && digitCount <= 15 ? REDACTED : match;
+        });
+}
+
+/**
+ * Copy of a value with personal information removed
+ */
+export function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1));
+    }
+
+    const copy = {};
+    Object.keys(value).forEach((key) => {
+        copy[key] = SENSITIVE_KEY_PATTERN.test(key) && value[key] !== null && value[key] !== undefined ?
+            REDACTED :
+            redact(value[key], depth + 1);
+    });
+    return copy;
+}
+
+/**
+ * Message and details from an Error, an Apex error response or a plain string
+ */
+function describe(message) {
+    if (typeof message === 'string') {
+        return { message };
+    }
+    if (message && message.body) {
+        const body = Array.isArray(message.body) ? message.body[0] || {} : message.body;
+        return {
+            message: body.message || message.statusText || 'Apex error',
+            details: { status: message.status, exceptionType: body.exceptionType, stackTrace: body.stackTrace }
+        };
+    }
+    if (message instanceof Error) {
+        return { message: message.message, details: { name: message.name, stack: message.stack } };
+    }
+    return { message: String(message) };
+}
+
+function printToConsole(level, component, action, message, details) {
+    const prefix = `[${component}] ${action}:`;
+    if (level === 'ERROR') {
+        console.error(prefix, message, details || '');
+    } else if (level === 'WARN') {
+        console.warn(prefix, message, details || '');
+    } else {
+        console.log(prefix, message, details || '');
+    }
+}
+
+/**
+ * The key for this browser session, created on first use
+ */
+function getClientKey() {
+    const createKey = () => (window.crypto && typeof window.crypto.randomUUID === 'function' ?
+        window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    try {
+        let key = window.sessionStorage.getItem(CLIENT_KEY_STORAGE_KEY);
+        if (!key) {
+            key = createKey();
+            window.sessionStorage.setItem(CLIENT_KEY_STORAGE_KEY, key);
+        }
+        return key;
+    } catch {
+        // Without storage every page load is its own session
+        return createKey();
+    }
+}
+
+function report(level, component, action, message, details) {
+    if (reportCount >= MAX_REPORTS) {
+        return;
+    }
+    reportCount++;
+
+    const entry = {
+        level,
+        component,
+        action,
+        message,
+        details: details ? JSON.stringify(details) : null,
+        pageUrl: redactString(window.location.pathname),
+        userAgent: window.navigator.userAgent,
+        clientKey: getClientKey()
+    };
+
+    // Reporting must never raise a second error in the component that is already failing
+    Promise.resolve()
+        .then(() => logClientError({ entryJson: JSON.stringify(entry) }))
+        .catch(() => {});
+}
+
+function log(level, component, action, message, context) {
+    const described = describe(message);
+    const redactedMessage = redactString(described.message || '');
+    const details = described.details || context ?
+        redact({ ...(described.details || {}), ...(context || {}) }) :
+        null;
+
+    loadSettings().then(() => {
+        const printLevel = settings.debugEnabled ? LEVELS.DEBUG : LEVELS.WARN;
+        const reportLevel = LEVELS[settings.reportLevel] ?? LEVELS.ERROR;
+
+        if (LEVELS[level] >= printLevel) {
+            printToConsole(level, component, action, redactedMessage, details);
+        }
+        if (LEVELS[level] >= reportLevel) {
+            report(level, component, action, redactedMessage, details);
+        }
+    });
+}
+
+/**
+ * Logger for one component; each method takes (action, message or error, optional context)
+ */
+export function createLogger(component) {
+    loadSettings();
+
+    return {
+        debug: (action, message, context) => log('DEBUG', component, action, message, context),
+        info: (action, message, context) => log('INFO', component, action, message, context),
+        warn: (action, message, context) => log('WARN', component, action, message, context),
+        error: (action, message, context) => log('ERROR', component, action, message, context)
+    };
+}